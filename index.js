@@ -6,5 +6,16 @@ const GeoSegment = require('./lib/GeoSegment');
 const Segment = require('./lib/Segment');
 const BoardRouter = require('./lib/BoardRouter');
 const Notion = require('./lib/Notion');
+const ConditionRollup = require('./lib/ConditionRollup');
+const RequirementElement = require('./lib/RequirementElement');
+const ConfigSchema = require('./lib/ConfigSchema');
+const ElementRule = require('./lib/ElementRule');
+const ClassRegistry = require('./lib/ClassRegistry');
+const BoardView = require('./lib/BoardView');
+const SegmentView = require('./lib/SegmentView');
+const Scheduler = require('./lib/Scheduler');
+const ManualClock = require('./lib/ManualClock');
+const TrendForecaster = require('./lib/TrendForecaster');
+const NotionType = require('./lib/NotionType');
 
-module.exports = { Board, Asset, Element, GeoSegment, Segment, BoardRouter, ElementCondition, Notion };
\ No newline at end of file
+module.exports = { Board, Asset, Element, GeoSegment, Segment, BoardRouter, ElementCondition, Notion, ConditionRollup, RequirementElement, ConfigSchema, BoardView, SegmentView, ElementRule, ClassRegistry, Scheduler, ManualClock, TrendForecaster, NotionType };
\ No newline at end of file
@@ -1,18 +1,40 @@
+const EventEmitter = require('node:events').EventEmitter;
 const Notion = require('./Notion');
+const Scheduler = require('./Scheduler');
 const objectpath = require('object-path');
 
+const NOTION_KEYS = ['source', 'timestamp', 'type', 'default', 'max_age', 'history', 'ordering'];
+const DECLARATION_KEYS = ['name', 'extends', 'notions', 'position', 'ordering'];
+const DIAGNOSTIC_EVENTS = ['ignored', 'rejected', 'invalid'];
+
+/**
+ * Emitted when notions of the asset change.  One call to `.set_with_object()` emits once, listing every notion it changed.
+ * @event Asset#changed
+ * @type {object}
+ * @property {Asset} asset - The asset.
+ * @property {string[]} notions - The names of the notions that changed.
+ * @property {object} changes - `{ old_value, new_value, old_timestamp, new_timestamp }` keyed by notion name.  A notion that changed more than once has its first old and last new value.
+ */
+
 /**
  * Represents an Asset with attributes stored as Notions and a unique ID.
+ * @fires Asset#changed
  */
-class Asset {
+class Asset extends EventEmitter {
   #notions;
   #id;
+  #ordering = null; // Applied to every notion, if set
+  #scheduler = null; // Applied to every notion, if set
+  #counters = new Map(); // Notion name → { ignored, rejected, invalid }
+  #listeners = new Map(); // Notion name → [notion, [event, listener] pairs] that we have attached
+  #pending = null; // Notion name → change, while a batch is collecting changes
 
   /**
    * Creates a new Asset instance with initialized attributes as Notions.
    * @param {object} [properties={}] - An object containing property names and their default values, including required 'id'.
    */
   constructor(properties = {}) {
+    super();
     if (!properties.id || typeof properties.id !== 'string') {
       throw new Error("Asset ID must be a non-empty string.");
     }
@@ -23,17 +45,167 @@ class Asset {
         .filter(([name]) => name !== 'id')
         .map(([name, value]) => [name, new Notion(name, value)])
     );
+    for (const notion of this.#notions.values()) { this.#attach(notion); }
   }
 
   /**
    * Adds a Notion to the Asset's notions map.
+   * 
+   * If the asset has an ordering policy or a scheduler, the notion takes them on.
    * @param {Notion} n - The Notion instance to add.
    * @throws {Error} If the Notion is not an instance of Notion.
    */
   add_notion(n) {
 
     if (!(n instanceof Notion)) { throw new Error("Notion must be an instance of Notion."); }
+    if (this.#ordering) { n.ordering = this.#ordering; }
+    if (this.#scheduler) { n.scheduler = this.#scheduler; }
     this.#notions.set(n.name, n);
+    this.#attach(n);
+  }
+
+  /**
+   * Listen to a notion for changes and for the writes that it ignores, rejects or flags, replacing the listeners of any notion it replaced
+   * @private
+   * @param {Notion} notion - The notion.
+   */
+  #attach(notion) {
+
+    const previous = this.#listeners.get(notion.name);
+    if (previous) {
+      const [old, listeners] = previous;
+      for (const [event, listener] of listeners) { old.off(event, listener); }
+    }
+
+    const listeners = DIAGNOSTIC_EVENTS.map(event => [event, () => {
+      if (!this.#counters.has(notion.name)) { this.#counters.set(notion.name, { ignored: 0, rejected: 0, invalid: 0 }); }
+      this.#counters.get(notion.name)[event]++;
+    }]);
+    listeners.push(['changed', (e) => this.#collect(notion.name, e)]);
+    for (const [event, listener] of listeners) { notion.on(event, listener); }
+    this.#listeners.set(notion.name, [notion, listeners]);
+  }
+
+  /**
+   * Add a notion change to the current batch, or emit it straight away if there is none
+   * @private
+   * @param {string} name - The notion name.
+   * @param {object} e - The notion's changed event.
+   */
+  #collect(name, e) {
+
+    const change = { old_value: e.old_value, new_value: e.new_value, old_timestamp: e.old_timestamp, new_timestamp: e.new_timestamp };
+    if (!this.#pending) { this.#emit_changed(new Map([[name, change]])); return; }
+
+    const earlier = this.#pending.get(name);
+    this.#pending.set(name, earlier ? { ...change, old_value: earlier.old_value, old_timestamp: earlier.old_timestamp } : change);
+  }
+
+  /**
+   * Run a function, emitting one changed event for every notion it changes.  Batches nest, and the event is emitted even if the function throws, for whatever changed before it did.
+   * @private
+   * @param {function(): *} fn - The function.
+   * @returns {*} Whatever the function returns.
+   */
+  #batch(fn) {
+
+    if (this.#pending) { return fn(); }
+
+    this.#pending = new Map();
+    try {
+      return fn();
+    } finally {
+      const pending = this.#pending;
+      this.#pending = null;
+      if (pending.size) { this.#emit_changed(pending); }
+    }
+  }
+
+  /**
+   * Emit a changed event
+   * @private
+   * @param {Map} changes - Changes keyed by notion name.
+   */
+  #emit_changed(changes) {
+    this.emit('changed', { asset: this, notions: [...changes.keys()], changes: Object.fromEntries(changes) });
+  }
+
+  /**
+   * Call a function when any of the given notions change
+   * 
+   * The function gets the asset's changed event, narrowed down to the watched notions, and is called at most once per batch (e.g. per `.set_with_object()`).
+   * Notions are watched by name, so a notion that is added or replaced later is watched too.  Elements should use Element.watch(), which follows the paired asset and cleans up on unpairing.
+   * @param {string|string[]} names - The notion names.
+   * @param {function(object): void} fn - The function.
+   * @returns {function(): void} A function that stops watching.
+   * @throws {Error} If the names or function are invalid.
+   */
+  watch(names, fn) {
+
+    names = [names].flat();
+    if (names.some(n => typeof n !== 'string')) { throw new Error("Watched notion names must be strings."); }
+    if (typeof fn !== 'function') { throw new Error("Watch callback must be a function."); }
+
+    const listener = (e) => {
+      const notions = e.notions.filter(n => names.includes(n));
+      if (notions.length === 0) { return; }
+      fn({ ...e, notions, changes: Object.fromEntries(notions.map(n => [n, e.changes[n]])) });
+    };
+    this.on('changed', listener);
+    return () => { this.off('changed', listener); };
+  }
+
+  /**
+   * Gets the scheduler that the asset's notions use for staleness (see Notion.scheduler).
+   * @returns {Scheduler|null} The scheduler, or null if each notion keeps its own.
+   */
+  get scheduler() {
+    return this.#scheduler;
+  }
+
+  /**
+   * Sets the scheduler of every notion, now and added later.  A board sets this to its own scheduler when the asset is added.
+   * @param {Scheduler|null} scheduler - The scheduler, or null to stop applying one to new notions.
+   * @throws {Error} If scheduler is not a Scheduler or null.
+   */
+  set scheduler(scheduler) {
+    if (scheduler !== null && !(scheduler instanceof Scheduler)) { throw new Error("Scheduler must be an instance of Scheduler."); }
+    for (const notion of this.#notions.values()) { notion.scheduler = scheduler; }
+    this.#scheduler = scheduler;
+  }
+
+  /**
+   * Gets the ordering policy that the asset applies to its notions.
+   * @returns {string|null} The policy (see Notion.ordering), or null if each notion keeps its own.
+   */
+  get ordering() {
+    return this.#ordering;
+  }
+
+  /**
+   * Sets the ordering policy of every notion, now and added later (see Notion.ordering).
+   * @param {string|null} policy - 'last_write', 'newest' or 'reject', or null to stop applying a policy to new notions.
+   * @throws {Error} If the policy is invalid.
+   */
+  set ordering(policy) {
+    if (policy !== null && !Notion.orderings.includes(policy)) { throw new Error(`Invalid ordering policy '${policy}'. Valid policies are: ${Notion.orderings.join(', ')}`); }
+    this.#ordering = policy;
+    if (policy) {
+      for (const notion of this.#notions.values()) { notion.ordering = policy; }
+    }
+  }
+
+  /**
+   * Counts of the writes that did not make it into a notion's current value: out of order writes that were `ignored` or `rejected` (see Notion.ordering), and `invalid` values (see NotionType).
+   * @returns {{ignored: number, rejected: number, invalid: number, notions: object}} Totals, and the counts keyed by notion name for the notions that have any.
+   */
+  get diagnostics() {
+    let result = { ignored: 0, rejected: 0, invalid: 0, notions: {} };
+    for (const [name, counts] of this.#counters) {
+      for (const event of DIAGNOSTIC_EVENTS) { result[event] += counts[event]; }
+      result.notions[name] = { ...counts };
+    }
+    return result;
   }
 
   /**
@@ -51,6 +223,24 @@ class Asset {
     return null;
   }
   
+  /**
+   * Names of the notions that feed `position`.
+   * 
+   * Subclasses that override `position` should also override this, so that the Board knows which notions to watch when deciding whether an asset has moved out of its segment.
+   * @returns {string[]|null} An array of notion names, or null in the base class to indicate that any notion may affect the position.
+   */
+  get position_notions() {
+    return null;
+  }
+
+  /**
+   * Gets the names of all notions of this asset.
+   * @returns {string[]} The notion names.
+   */
+  get notion_names() {
+    return [...this.#notions.keys()];
+  }
+
   /**
    * Gets the unique identifier of the asset.
    * @returns {string} The asset's ID.
@@ -63,7 +253,8 @@ class Asset {
    * Sets the value of a notion with an optional timestamp.
    * @param {string} name - The name of the attribute.
    * @param {*} value - The value to set.
-   * @param {dayjs|Date|string} [timestamp] - The timestamp for the update.
+   * @param {dayjs|Date|string} [timestamp] - The timestamp for the update.  Defaults to the current time on the notion's scheduler clock.
+   * @returns {boolean} True if the value was stored, false if the notion rejected it (see NotionType).
    * @throws {Error} If the attribute name does not exist.
    */
   set_value(name, value, timestamp) {
@@ -71,11 +262,7 @@ class Asset {
     if (!notion) {
       throw new Error(`Attribute "${name}" does not exist.`);
     }
-    if (timestamp === undefined) {
-      notion.value = value;
-    } else {
-      notion.set_value(value, timestamp);
-    }
+    return notion.set_value(value, timestamp === undefined ? new Date(notion.scheduler.now()) : timestamp);
   }
 
   /**
@@ -101,35 +288,69 @@ class Asset {
 
   /**
    * Sets multiple asset properties from a JSON object.
+   * 
+   * Values are stamped with the current time unless `options.timestamp` says where the payload records when they were observed, either as one object-path for the whole payload (e.g. 'last_seen.timestamp') or as paths keyed by notion name (e.g. `{ soc: 'mqtt_v2.soc.updated' }`).  Notions without a path, or whose path is missing or null in the payload, get the current time.
    * @param {object} object the JSON object containing asset properties.
-   * @param {boolean} [reverse_deep_search = false] if true, will use notion names as keys into the object, otherwise will use the first level keys as notion names.
-   * @throws {Error} If the object is not a valid object.
+   * @param {object|boolean} [options={}] options, or (for backwards compatibility) the reverse_deep_search flag.
+   * @param {boolean} [options.reverse_deep_search = false] if true, will use notion names as keys into the object, otherwise will use the first level keys as notion names.
+   * @param {string|object} [options.timestamp] the timestamp resolver: an object-path, or object-paths keyed by notion name.
+   * @throws {Error} If the object is not a valid object, or the timestamp resolver or a timestamp is invalid.
+   * @fires Asset#changed once, for all the notions that changed
    */
-  set_with_object(object, reverse_deep_search = false) {
+  set_with_object(object, options = {}) {
 
     if (!object || typeof object !== 'object') {
       throw new Error("Input must be a valid object.");
     }
 
-    if(reverse_deep_search) {
+    if (typeof options === 'boolean') { options = { reverse_deep_search: options }; }
+    const stamp = Asset.#timestamp_resolver(object, options?.timestamp);
 
-      // Reverse deep search: use notion names as keys into the object
-      for (const [name, notion] of this.#notions) {
-        if (objectpath.has(object, name)) {
+    this.#batch(() => {
 
-          this.set_value(name, objectpath.get(object, name)); // Use current time for timestamp
+      if(options?.reverse_deep_search) {
+
+        // Reverse deep search: use notion names as keys into the object
+        for (const [name, notion] of this.#notions) {
+          if (objectpath.has(object, name)) {
+
+            this.set_value(name, objectpath.get(object, name), stamp(name));
+          }
+          // Silently ignore properties not in the object
         }
-        // Silently ignore properties not in the object
+        return;
       }
-      return;
-    }
 
-    for (const [name, value] of Object.entries(object)) {
-      if (this.#notions.has(name)) {
-        this.set_value(name, value, undefined); // Use current time for timestamp
+      for (const [name, value] of Object.entries(object)) {
+        if (this.#notions.has(name)) {
+          this.set_value(name, value, stamp(name));
+        }
+        // Silently ignore properties not in notions map
       }
-      // Silently ignore properties not in notions map
-    }
+    });
+  }
+
+  /**
+   * Make a function that finds the timestamp of a notion in a payload
+   * @private
+   * @param {object} object - The payload.
+   * @param {string|object} [resolver] - An object-path for every notion, or object-paths keyed by notion name.
+   * @returns {function(string, string=): *} Given a notion name (and optionally a path to try first), the timestamp from the payload, or undefined for the current time.
+   * @throws {Error} If the resolver is invalid.
+   */
+  static #timestamp_resolver(object, resolver) {
+
+    const valid = resolver === undefined || typeof resolver === 'string' ||
+      (resolver && typeof resolver === 'object' && !Array.isArray(resolver) && Object.values(resolver).every(p => typeof p === 'string'));
+    if (!valid) { throw new Error("Timestamp resolver must be an object-path string, or an object of object-paths keyed by notion name."); }
+
+    return (name, path) => {
+      for (const p of [path, typeof resolver === 'string' ? resolver : resolver?.[name]]) {
+        const timestamp = p ? objectpath.get(object, p) : undefined;
+        if (timestamp !== undefined && timestamp !== null) { return timestamp; }
+      }
+      return undefined;
+    };
   }
 
   /**
@@ -152,7 +373,219 @@ class Asset {
     return result;
   }
 
-  
+  /**
+   * Snapshot the asset so that it can be recreated later with from_snapshot()
+   * 
+   * Unlike toObject(), this includes every notion, and timestamps are null for notions that have never been set.
+   * @returns {{id: string, class: string, notions: Array<{name: string, value: *, timestamp: string|null}>}} A JSON-serializable snapshot.
+   */
+  snapshot() {
+    return {
+      id: this.#id,
+      class: this.constructor.name,
+      notions: [...this.#notions].map(([name, notion]) => ({
+        name,
+        value: notion.value,
+        timestamp: notion.timestamp ? notion.timestamp.toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Recreate an asset from a snapshot
+   * 
+   * Call this on the class named in the snapshot, e.g. `Bot.from_snapshot(s)`.  Notions that were never set are restored as defaults; the rest are set with their original timestamps.
+   * @param {object} snapshot - A snapshot made by .snapshot().
+   * @returns {Asset} A new asset.
+   * @throws {Error} If the snapshot is invalid.
+   */
+  static from_snapshot(snapshot) {
+
+    if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.notions)) { throw new Error("Asset snapshot must be an object with a notions array."); }
+
+    const defaults = Object.fromEntries(snapshot.notions.map(n => [n.name, n.timestamp ? undefined : n.value]));
+    const asset = new this({ ...defaults, id: snapshot.id });
+    for (const n of snapshot.notions) {
+      if (n.timestamp) { asset.set_value(n.name, n.value, n.timestamp); }
+    }
+
+    return asset;
+  }
+
+  /**
+   * Make an Asset subclass from a declaration, so that asset types don't need hand-written classes, e.g.
+   * 
+   * ```
+   * const Bot = Asset.define({
+   *   name: 'Bot',
+   *   notions: {
+   *     name: 'name',
+   *     soc: { source: 'mqtt_v2.soc.value', timestamp: 'mqtt_v2.soc.updated', type: 'number', max_age: 300 },
+   *     charging: { source: 'mqtt.charging', type: 'boolean', default: false }
+   *   },
+   *   position: { lat: 'last_seen.lat', lon: 'last_seen.lon', alt: 'last_seen.alt', timestamp: 'last_seen.timestamp' }
+   * });
+   * ```
+   * 
+   * Each notion is either an object-path source string, or an object with:
+   * - `source` - the object-path of the value in payloads, defaults to the notion name
+   * - `timestamp` - the object-path of the time the value was observed; without it (or if it is missing from a payload) the `timestamp` option of `.set_with_object()` applies, and then the current time
+   * - `type`, `max_age`, `history`, `ordering` - see Notion
+   * - `default` - the value until one arrives
+   * 
+   * An `ordering` for the whole class applies to every notion that doesn't declare its own.
+   * A `position` maps payload paths to a `position` notion of type geo, which feeds `.position` (so GeoSegments work).
+   * The class's `.set_with_object()` reads every notion from its source, so payloads like larry.json can be ingested as they are.
+   * Calling this on a subclass (e.g. `Bot.define(...)`) extends that subclass, and a subclass of a defined class inherits its notions and position.
+   * 
+   * @param {object} declaration - The declaration.
+   * @param {string} declaration.name - The class name.
+   * @param {object} [declaration.notions={}] - Notion declarations keyed by notion name.
+   * @param {object} [declaration.position] - Paths of `lat`, `lon` and optionally `alt` and `timestamp`.
+   * @param {string} [declaration.ordering] - The ordering policy of every notion, see Notion.ordering.
+   * @param {string} [declaration.extends] - The name of the base class; not used here, but by a Board defining classes from config.
+   * @returns {Function} The new class.
+   * @throws {Error} If the declaration is invalid.
+   * @static
+   */
+  static define(declaration) {
+
+    const { name, notions: own_notions, position: own_position, ordering: own_ordering } = Asset.#parse_declaration(declaration);
+    const Base = this;
+    const notions = { ...(Base.declared_notions || {}), ...own_notions };
+    const position = own_position ?? Base.declared_position ?? null;
+    const ordering = own_ordering ?? Base.declared_ordering ?? null;
+    if (position && notions.position) { throw new Error(`Asset class '${name}' can't declare a 'position' notion and a position mapping.`); }
+
+    const defaults = Object.fromEntries(Object.entries(notions).map(([n, spec]) => [n, spec.default]));
+    if (position) { defaults.position = undefined; }
+
+    const Defined = {
+      [name]: class extends Base {
+
+        constructor(properties = {}) {
+          super({ ...defaults, ...properties });
+          if (ordering) { this.ordering = ordering; }
+          for (const [n, spec] of Object.entries(notions)) { Asset.#apply_notion_spec(this.get_notion(n), spec); }
+          if (position) { this.get_notion('position').type = 'geo'; }
+        }
+
+        static get declaration() { return JSON.parse(JSON.stringify({ ...declaration, name })); }
+        static get declared_notions() { return notions; }
+        static get declared_position() { return position; }
+        static get declared_ordering() { return ordering; }
+
+        get position() {
+          if (!position) { return super.position; }
+          return this.p('position') ?? null;
+        }
+
+        get position_notions() {
+          return position ? ['position'] : super.position_notions;
+        }
+
+        /**
+         * Set every declared notion from its source path.  Notions whose source is missing are left alone.
+         * 
+         * Timestamps come from the declared timestamp paths, then from `options.timestamp` as for Asset.set_with_object(), and are the current time otherwise.
+         * @param {object} object - The payload.
+         * @param {object} [options={}] - Options.
+         * @param {string|object} [options.timestamp] - The timestamp resolver for notions without a declared timestamp path.
+         * @throws {Error} If the object is not a valid object, or the timestamp resolver or a timestamp is invalid.
+         * @fires Asset#changed once, for all the notions that changed
+         */
+        set_with_object(object, options = {}) {
+
+          if (!object || typeof object !== 'object') {
+            throw new Error("Input must be a valid object.");
+          }
+
+          const stamp = Asset.#timestamp_resolver(object, (typeof options === 'object') ? options?.timestamp : undefined);
+          this.#batch(() => {
+            for (const [n, spec] of Object.entries(notions)) {
+              if (objectpath.has(object, spec.source)) { this.set_value(n, objectpath.get(object, spec.source), stamp(n, spec.timestamp)); }
+            }
+
+            if (position && objectpath.has(object, position.lat) && objectpath.has(object, position.lon)) {
+              let point = { lat: objectpath.get(object, position.lat), lon: objectpath.get(object, position.lon) };
+              if (position.alt && objectpath.has(object, position.alt)) { point.alt = objectpath.get(object, position.alt); }
+              this.set_value('position', point, stamp('position', position.timestamp));
+            }
+          });
+        }
+      }
+    }[name];
+
+    return Defined;
+  }
+
+  /**
+   * Validate and normalize a declaration for define()
+   * @private
+   * @param {object} declaration - The declaration.
+   * @returns {{name: string, notions: object, position: object|null, ordering: string|null}} The normalized declaration.
+   * @throws {Error} If the declaration is invalid.
+   */
+  static #parse_declaration(declaration) {
+
+    if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) { throw new Error("Asset class declaration must be an object."); }
+
+    const name = declaration.name;
+    if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) { throw new Error("Asset class name must be a valid identifier."); }
+    for (const key of Object.keys(declaration)) {
+      if (!DECLARATION_KEYS.includes(key)) { throw new Error(`Unknown key '${key}' in asset class '${name}'. Valid keys are: ${DECLARATION_KEYS.join(', ')}`); }
+    }
+    if (declaration.extends !== undefined && typeof declaration.extends !== 'string') { throw new Error(`Asset class '${name}' extends must be a class name.`); }
+    if (declaration.ordering !== undefined && !Notion.orderings.includes(declaration.ordering)) { throw new Error(`Invalid ordering policy '${declaration.ordering}' for asset class '${name}'. Valid policies are: ${Notion.orderings.join(', ')}`); }
+
+    const declared = declaration.notions ?? {};
+    if (typeof declared !== 'object' || Array.isArray(declared)) { throw new Error(`Notions of asset class '${name}' must be an object keyed by notion name.`); }
+
+    let notions = {};
+    for (let [n, spec] of Object.entries(declared)) {
+
+      if (n === 'id') { throw new Error(`Asset class '${name}' can't declare an 'id' notion.`); }
+      if (typeof spec === 'string') { spec = { source: spec }; }
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) { throw new Error(`Notion '${n}' of asset class '${name}' must be a source path or an object.`); }
+      for (const key of Object.keys(spec)) {
+        if (!NOTION_KEYS.includes(key)) { throw new Error(`Unknown key '${key}' for notion '${n}' of asset class '${name}'. Valid keys are: ${NOTION_KEYS.join(', ')}`); }
+      }
+      for (const key of ['source', 'timestamp']) {
+        if (spec[key] !== undefined && (typeof spec[key] !== 'string' || spec[key] === '')) { throw new Error(`The ${key} of notion '${n}' of asset class '${name}' must be a path string.`); }
+      }
+
+      notions[n] = { ...spec, source: spec.source ?? n };
+      try { Asset.#apply_notion_spec(new Notion(n, spec.default), notions[n]); }
+      catch (e) { throw new Error(`Notion '${n}' of asset class '${name}': ${e.message}`); }
+    }
+
+    let position = null;
+    if (declaration.position !== undefined) {
+      const p = declaration.position;
+      if (!p || typeof p !== 'object' || typeof p.lat !== 'string' || typeof p.lon !== 'string') { throw new Error(`Position of asset class '${name}' must have 'lat' and 'lon' paths.`); }
+      for (const key of Object.keys(p)) {
+        if (!['lat', 'lon', 'alt', 'timestamp'].includes(key)) { throw new Error(`Unknown key '${key}' in position of asset class '${name}'. Valid keys are: lat, lon, alt, timestamp`); }
+        if (typeof p[key] !== 'string') { throw new Error(`Position '${key}' of asset class '${name}' must be a path string.`); }
+      }
+      position = { ...p };
+    }
+
+    return { name, notions, position, ordering: declaration.ordering ?? null };
+  }
+
+  /**
+   * Apply the type, max_age, history and ordering of a notion declaration
+   * @private
+   * @param {Notion} notion - The notion.
+   * @param {object} spec - The notion declaration.
+   * @throws {Error} If any of them is invalid.
+   */
+  static #apply_notion_spec(notion, spec) {
+    if (spec.type !== undefined) { notion.type = spec.type; }
+    if (spec.max_age !== undefined) { notion.max_age = spec.max_age; }
+    if (spec.history !== undefined) { notion.keep_history(spec.history); }
+    if (spec.ordering !== undefined) { notion.ordering = spec.ordering; }
+  }
 }
 
 module.exports = Asset;
\ No newline at end of file
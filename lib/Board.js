@@ -1,84 +1,405 @@
 const Asset = require('./Asset');
 const Segment = require('./Segment');
-const GeoSegment = require('./GeoSegment');
-const Element = require('./Element');
+const ConditionRollup = require('./ConditionRollup');
+const ElementRule = require('./ElementRule');
+const ConfigSchema = require('./ConfigSchema');
+const ClassRegistry = require('./ClassRegistry');
+const Scheduler = require('./Scheduler');
 const EventEmitter = require('node:events').EventEmitter;
 
+/**
+ * @event asset_moved
+ * @description Emitted when an asset is re-homed to another segment because it no longer belongs in its old one
+ * @param {Object} data - The data associated with the asset_moved event.
+ * @param {Asset} data.asset - The asset that moved.
+ * @param {Segment} data.from - The segment the asset was in.
+ * @param {Segment} data.to - The segment the asset is now in.
+ */
+
+/**
+ * @event rehome_failed
+ * @description Emitted when an asset could not be re-homed automatically, e.g. because the element factory has no element for it.  The asset stays in the segment it was in.
+ * @param {Object} data - The data associated with the rehome_failed event.
+ * @param {Asset} data.asset - The asset that could not move.
+ * @param {Segment} data.segment - The segment the asset is still in.
+ * @param {Error} data.error - Why it could not move.
+ */
+
+/**
+ * @event disposed
+ * @description Emitted once when the board is disposed, just before all of its listeners are removed
+ * @param {Object} data - The data associated with the disposed event.
+ * @param {Board} data.board - The board.
+ */
+
 class Board extends EventEmitter {
 	#name;
 	#segments = [];
-	#classes = { Asset, Segment, GeoSegment, Element };
-	#asset_to_element = new Map(); // Maps asset IDs to elements
+	#registry; // The classes that config can refer to by name
+	#element_rules = []; // ElementRules from the asset_to_element config, in order
+	#default_element; // Element class name for assets that no rule matches, or null to make that an error
 	#min_event_seconds; // minimum seconds between events
+	#rollup; // Rolls up segment conditions into the board condition
+	#watchers = new Map(); // Maps asset IDs to functions that stop watching their segment membership notions
+	#pending_rehome = new Set(); // IDs of assets to re-home on the next tick
+	#segment_configs = new Map(); // Maps segments to the JSON of the config they were created with
+	#segment_listeners = new Map(); // Maps segments to [event, listener] pairs the board attached to them
+	#index = new Map(); // Maps asset IDs to { segment, asset }
+	#asset_factory; // Creates assets for .upsert()
+	#batch_depth = 0; // While > 0, change events are held back until the batch is done
+	#flush_job = null; // Scheduler job ID of the trailing flush of changes held back by min_event_seconds
+	#closed = false;
+	#seq = 0; // Sequence number of the last change event
+	#replay = []; // Recent change batches, oldest first, for .changes_since()
+	#replay_buffer_size; // How many batches to keep in #replay
+	#disposed = false;
+	#scheduler; // Re-evaluates elements at future times, see Element.reevaluate_at()
 	
 	/**
 	* 
 	* @param {object} config the board config 
 	* @param {number} [config.min_event_seconds=5] minumum seconds between events
 	* @param {object} [config.segments] an array of segment configurations
-	* @param {object} classes any classes that the board will reference
+	* @param {object} [config.rollup] configuration for the ConditionRollup that combines segment conditions into the board condition
+	* @param {object[]} [config.asset_to_element] rules that pick the element class for an asset, see ElementRule
+	* @param {string|null} [config.asset_to_element_default='Element'] the element class for assets that no rule matches, or null to make that an error
+	* @param {number} [config.replay_buffer_size=100] how many recent change batches to keep for .changes_since()
+	* @param {string[]} [config.plugins] plugin modules to load into the class registry before anything else, see ClassRegistry.load_plugin()
+	* @param {object|string} [config.asset_classes] asset class declarations keyed by class name, or the name of a JSON file of them, see Asset.define() and ClassRegistry.define_assets()
+	* @param {ClassRegistry|object} classes a registry of the classes the board will reference, or an object of any custom classes keyed by name (registered on top of the built in ones)
+	* @param {object} [options={}] runtime options that can't be expressed in config
+	* @param {function(string, object, string): Asset} [options.asset_factory] creates assets for .upsert(), see the asset_factory setter
+	* @param {object} [options.clock] the clock for the board's Scheduler, e.g. a ManualClock in tests.  Defaults to the system clock.
 	*/
-	constructor(config = {}, classes={}) {
+	constructor(config = {}, classes={}, options={}) {
 		
 		super();
 		
-		this.#name = config.name || '';
-		this.#min_event_seconds = config.min_event_seconds || 5; 
-		this.#classes = { ...this.#classes, ...classes };
+		this.#registry = ClassRegistry.from(classes);
+		this.#scheduler = new Scheduler({ clock: options.clock });
+		this.asset_factory = options.asset_factory ?? Board.default_asset_factory;
+		this.#extend_registry(config);
+		this.#apply_board_config(config);
+		
+		// Create all segments specified in the config
+		for(let s of config.segments || []) { this._add_segment(this.#create_segment(s)); }
 		
-		// If the config has a list of asset -> config mappings, store them in the asset_to_element map
+	}
+
+	/**
+	* Load the plugins named in a config into the class registry, and define its asset classes
+	* @private
+	* @param {object} config - The board config.
+	* @throws {Error} If a plugin can't be loaded or an asset class can't be defined.
+	*/
+	#extend_registry(config) {
+		for (let plugin of config.plugins || []) { this.#registry.load_plugin(plugin); }
+		if (config.asset_classes !== undefined) { this.#registry.define_assets(config.asset_classes); }
+	}
+
+	/**
+	* Apply the board-level (i.e. not segment) parts of a config
+	* @private
+	* @param {object} config - The board config.
+	* @throws {Error} If the config is invalid.
+	*/
+	#apply_board_config(config) {
+
+		const rollup = new ConditionRollup(config.rollup);
+
+		// If the config has a list of asset -> element rules, compile them in order
+		let element_rules = [];
 		if(config.asset_to_element) {
 			if (Array.isArray(config.asset_to_element)) {
-				for (let map of config.asset_to_element) {
-					if(typeof map.asset == 'string' && typeof map.element == 'string') {
-						this.#asset_to_element.set(map.asset, map.element);
-					} else {
-						throw new Error("Asset to element mapping must be an array of objects with 'asset' and 'element' properties as strings.");
-					}
-				}
+				element_rules = config.asset_to_element.map(rule => new ElementRule(rule, this.#registry.toObject()));
 			} else { 
 				throw new Error("Asset to element mapping must be an array of objects with 'asset' and 'element' properties as strings.");
 			}
 		}		
+
+		const default_element = (config.asset_to_element_default === undefined) ? 'Element' : config.asset_to_element_default;
+		if (default_element !== null && typeof default_element !== 'string') { throw new Error("asset_to_element_default must be an element class name or null."); }
+
+		const replay_buffer_size = config.replay_buffer_size ?? 100;
+		if (!Number.isInteger(replay_buffer_size) || replay_buffer_size < 0) { throw new Error("Replay buffer size must be a non-negative integer."); }
+
+		this.#name = config.name || '';
+		this.#min_event_seconds = config.min_event_seconds ?? 5; 
+		this.#rollup = rollup;
+		this.#element_rules = element_rules;
+		this.#default_element = default_element;
+		this.#replay_buffer_size = replay_buffer_size;
+		this.#replay = replay_buffer_size ? this.#replay.slice(-replay_buffer_size) : [];
+	}
+
+	/**
+	* Create a segment from its config
+	* @private
+	* @param {object} s - The segment config.
+	* @returns {Segment} The new segment, not yet added to the board.
+	* @throws {Error} If the segment class is missing or not a Segment.
+	*/
+	#create_segment(s) {
+
+		if (!s.class) { s.class = 'Segment'; } // Default to Segment if no class is specified
+		const SegmentClass = this.#registry.get(s.class);
+		if (!SegmentClass) { throw new Error(`Unable to find segment type '${s.class}', did you forget to pass a custom class to the Board constructor?`); }			
+		if (SegmentClass.name != "Segment" && !(SegmentClass.prototype instanceof Segment)) { throw new Error(`Segment class '${s.class}' must be a Segment or inherit from Segment.`); }
 		
-		// Create all segments specified in the config
-		for(let s of config.segments || []) {
-			if (!s.class) { s.class = 'Segment'; } // Default to Segment if no class is specified
-			const SegmentClass = this.#classes[s.class];
-			if (!SegmentClass) { throw new Error(`Unable to find segment type '${s.class}', did you forget to pass a custom class to the Board constructor?`); }			
-			if (SegmentClass.name != "Segment" && !(SegmentClass.prototype instanceof Segment)) { throw new Error(`Segment class '${s.class}' must be a Segment or inherit from Segment.`); }
-			
-			this._add_segment(new SegmentClass(s, this)); 
-		}
-		
+		const segment = new SegmentClass(s, this);
+		this.#segment_configs.set(segment, Board.#config_key(s));
+		return segment;
+	}
+
+	/**
+	* A string that is the same for equivalent segment configs
+	* @private
+	* @param {object} s - The segment config.
+	* @returns {string} The key.
+	*/
+	static #config_key(s) {
+		return JSON.stringify({ ...s, class: s.class || 'Segment' });
 	}
 	
+	/**
+	* Schema for the board config (see ConfigSchema).  Segment and element configs are validated against the schemas of their classes.
+	* @returns {object} A schema node.
+	* @static
+	*/
+	static get config_schema() {
+		return {
+			type: 'object',
+			properties: {
+				name: { type: 'string' },
+				plugins: { type: 'array', items: { type: 'string' } },
+				asset_classes: { type: 'any' }, // Checked by defining the classes, see validate_config()
+				min_event_seconds: { type: 'number' },
+				replay_buffer_size: { type: 'number', validate: (value) => (Number.isInteger(value) && value >= 0) ? undefined : 'must be a non-negative integer' },
+				rollup: ConditionRollup.config_schema,
+				asset_to_element: { type: 'array', items: ElementRule.config_schema },
+				asset_to_element_default: { type: 'any', validate: (value) => (value === null || typeof value === 'string') ? undefined : 'must be an element class name or null' },
+				segments: { type: 'array', items: { type: 'object', class_of: Segment, default_class: 'Segment' } }
+			}
+		};
+	}
+
+	/**
+	* Validate a board config without constructing a board
+	* 
+	* Every problem is reported at once with its JSON path, e.g. `segments[0].boundary.type missing` or `segments[2].elements[1].class 'Bott' not registered`.
+	* Custom Segment and Element classes contribute their own config by extending their static `config_schema`.
+	* Plugins named in the config are loaded, and its asset classes defined (into a copy of the registry, if one is given), so that their classes can be checked too.
+	* 
+	* @param {object} config - The board config.
+	* @param {ClassRegistry|object} [classes={}] - Any custom classes the config refers to, as you would pass them to the Board constructor.
+	* @returns {string[]} Every problem found; empty if the config is valid.
+	* @static
+	*/
+	static validate_config(config, classes = {}) {
+
+		let errors = [];
+		let registry;
+		try { registry = new ClassRegistry(ClassRegistry.from(classes).toObject()); }
+		catch (e) { return [`classes: ${e.message}`]; }
+
+		if (Array.isArray(config?.plugins)) {
+			config.plugins.forEach((plugin, i) => {
+				try { registry.load_plugin(plugin); }
+				catch (e) { errors.push(`plugins[${i}]: ${e.message}`); }
+			});
+		}
+		if (config?.asset_classes !== undefined) {
+			try { registry.define_assets(config.asset_classes); }
+			catch (e) { errors.push(`asset_classes: ${e.message}`); }
+		}
+
+		return [...errors, ...ConfigSchema.validate(config, { ...Board.config_schema, required: true }, registry.toObject())];
+	}
+
 	get name() { return this.#name; }
-	get classes() { return this.#classes; }
+	get classes() { return this.#registry.toObject(); }
+	get registry() { return this.#registry; }
 	get segments() { return this.#segments; }
+	get rollup() { return this.#rollup; }
+	get scheduler() { return this.#scheduler; }
+	get asset_factory() { return this.#asset_factory; }
+
+	/**
+	* Set the asset factory used by .upsert() and .ingest() to create unknown assets
+	* 
+	* The factory is called with `(id, data, AssetClass)` and must return an Asset with that ID.  It may return null to refuse to create the asset, which rejects the record.
+	* @param {function(string, object, Function): Asset|null} factory - The asset factory.
+	*/
+	set asset_factory(factory) {
+		if (typeof factory !== 'function') { throw new Error("Asset factory must be a function."); }
+		this.#asset_factory = factory;
+	}
+
+	/**
+	* The default asset factory
+	* 
+	* Creates an instance of AssetClass with a notion for each top level key of the data, so a plain Asset picks up whatever the feed sends.  Subclasses that create their own notions get them as usual.
+	* @param {string} id - The asset ID.
+	* @param {object} data - The data the asset is being created from.
+	* @param {Function} AssetClass - The asset class.
+	* @returns {Asset} A new asset without any values set.
+	* @static
+	*/
+	static default_asset_factory(id, data, AssetClass) {
+		const notions = AssetClass === Asset ? Object.keys(data).filter(k => k !== 'id').map(k => [k, undefined]) : [];
+		return new AssetClass({ ...Object.fromEntries(notions), id });
+	}
+
+	/**
+	* The overall condition of the board
+	* 
+	* Segment conditions are rolled up using the board's `rollup` config (worst-of by default).  Segments without any elements, or with only empty static slots (see Segment.reporting_elements), have nothing to say and are left out.
+	* @returns {ElementCondition} The condition of the board.
+	*/
+	get condition() {
+		return this.#rollup.rollup(this.#segments.filter(s => s.reporting_elements.length > 0).map(s => s.condition));
+	}
+
+	/**
+	* Statistics for the board
+	* 
+	* @returns {object} The board condition, totals across all elements and per-segment statistics.  Totals and segments contain counts and percentages by condition and trend (see ConditionRollup.tally()).
+	*/
+	stats() {
+		this.#check_disposed();
+
+		const segments = this.#segments.map((segment, segment_index) => ({ segment_index, ...segment.stats() }));
+		const elements = this.#segments.flatMap(s => s.elements.filter(e => e !== null));
+
+		return {
+			condition: this.condition.toObject(),
+			totals: ConditionRollup.tally(elements.map(e => e.effective_condition)),
+			segments
+		};
+	}
 	
 	/**
 	* Change event aggregator
 	* 
 	* This is called when a segment has changed.
-	* It is also called on a n second timer.
-	* It will emit a change event when something has changed but no more frequently than the configured minimum seconds.
+	* It is also called by a trailing timer, so that changes held back by the rate limit go out once the window has passed.
+	* It will emit a change event when something has changed but no more frequently than the configured minimum seconds, by the clock of the board's scheduler.
 	* @private
 	*/
-	#last_event_time = 0; // Timestamp of the last change event
+	#last_event_time = -Infinity; // Time of the last change event on the scheduler clock, or -Infinity if there hasn't been one
 	#changes = [];
 	_change_event_aggregator(event) {
 
 		// If we are being passed an event, this is a change event and we should store it
 		if (event) { this.#changes.push({ segment_index: event.segment_index, element_index: event.element_index, summary: event.summary }); }
 
-		// Is it time to emit a change event?
-		const now = Date.now();
-		if (now - this.#last_event_time < this.#min_event_seconds * 1000) { return; }
-		this.#last_event_time = now; // Update the last event time
-		
+		// Hold everything back until the current batch is done
+		if (this.#batch_depth > 0) { return; }
+
 		// If we have no changes, do not emit
 		if (this.#changes.length === 0) { return; }
+
+		// Is it time to emit a change event?  If not, make sure we come back when it is
+		const wait = this.#last_event_time + this.#min_event_seconds * 1000 - this.#scheduler.now();
+		if (wait > 0) { this.#schedule_flush(wait); return; }
+
+		this.#emit_change();
+	}
+
+	/**
+	* Schedule the trailing flush on the board's scheduler, unless one is already scheduled or the board is closed
+	* 
+	* On the system clock, the timer is unref'd so that a board with pending changes does not keep the process alive.
+	* @private
+	* @param {number} wait - Milliseconds to wait.
+	*/
+	#schedule_flush(wait) {
+
+		if (this.#flush_job !== null || this.#closed) { return; }
+		this.#flush_job = this.#scheduler.after(wait / 1000, () => {
+			this.#flush_job = null;
+			this._change_event_aggregator();
+		});
+	}
+
+	/**
+	* Cancel the trailing flush, if one is scheduled
+	* @private
+	*/
+	#cancel_flush() {
+
+		if (this.#flush_job !== null) { this.#scheduler.cancel(this.#flush_job); }
+		this.#flush_job = null;
+	}
+
+	/**
+	* The sequence number of the last change event, or 0 if there hasn't been one
+	* @returns {number} The sequence number.
+	*/
+	get seq() { return this.#seq; }
+
+	/**
+	* Get the change batches a client has missed
+	* 
+	* Every change event carries a `seq` that goes up by one per event.  A client that reconnects can pass the last `seq` it saw and apply the returned batches in order, rather than reloading everything.
+	* If the batches it missed are no longer buffered (see `replay_buffer_size`), or the board has been reconfigured or restored since, or the seq is from the future (e.g. the server has restarted), `resync` is true and the client should reload the segments it shows.
+	* 
+	* @param {number} seq - The last seq the client saw (0 if none).
+	* @returns {{seq: number, resync: boolean, batches: Array<{seq: number, changes: object[], segment_checksums: object[]}>}} The current seq, whether the client must resync, and otherwise the missed batches, oldest first.
+	* @throws {Error} If seq is not a non-negative integer.
+	*/
+	changes_since(seq) {
+		this.#check_disposed();
+
+		if (!Number.isInteger(seq) || seq < 0) { throw new Error("Sequence number must be a non-negative integer."); }
+
+		const resync = { seq: this.#seq, resync: true, batches: [] };
+		if (seq > this.#seq) { return resync; }
+		if (seq === this.#seq) { return { seq: this.#seq, resync: false, batches: [] }; }
+		if (this.#replay.length === 0 || this.#replay[0].seq > seq + 1) { return resync; }
+
+		const batches = this.#replay.filter(b => b.seq > seq);
+		if (batches.some(b => b.reconfigured)) { return resync; }
+
+		return { seq: this.#seq, resync: false, batches };
+	}
+
+	/**
+	* Emit any pending changes now, regardless of min_event_seconds
+	* 
+	* @returns {boolean} True if a change event was emitted.
+	*/
+	flush() {
+		this.#check_disposed();
+
+		if (this.#changes.length === 0) { return false; }
+		this.#emit_change();
+		return true;
+	}
+
+	/**
+	* Flush pending changes and stop the trailing flush timer
+	* 
+	* Call this when shutting down.  The board still works afterwards, but changes held back by min_event_seconds are only sent with the next change event or .flush().
+	*/
+	close() {
+		this.#check_disposed();
+
+		this.flush();
+		this.#closed = true;
+		this.#cancel_flush();
+	}
+
+	/**
+	* Collapse the stored changes into one change event and emit it
+	* 
+	* @private
+	* @param {object} [extra={}] - Extra properties for the event.  If `extra.reconfigured` is set, checksums are included for every segment rather than just the changed ones.
+	*/
+	#emit_change(extra = {}) {
+
+		this.#cancel_flush();
+		this.#last_event_time = this.#scheduler.now();
 		
 		// Collapse changes by removing any duplicates
 		const unique_changes = new Map();
@@ -91,30 +412,43 @@ class Board extends EventEmitter {
 		this.#changes = Array.from(unique_changes.values()); // Convert back to array
 		
 		// Get checksums for each segment that has changed
-		const segment_checksums = Array.from(new Set(this.#changes.map(change => change.segment_index))).map(index => ({
+		const indices = extra.reconfigured ? this.#segments.map((_, i) => i) : Array.from(new Set(this.#changes.map(change => change.segment_index)));
+		const segment_checksums = indices.map(index => ({
 			segment_index: index,
 			checksum: this.#segments[index].checksum
 		}));
 		
+		const changes = this.#changes;
+		this.#changes = []; // Reset changes before emitting, so that listeners may cause new ones
+
+		// Keep the batch for clients that reconnect
+		const seq = ++this.#seq;
+		this.#replay.push({ seq, changes, segment_checksums, ...extra });
+		if (this.#replay.length > this.#replay_buffer_size) { this.#replay.shift(); }
+		
+		const stats = this.stats();
 		this.emit('change', {
 			board: this,
-			changes: this.#changes,
-			segment_checksums: segment_checksums
+			seq,
+			changes,
+			segment_checksums: segment_checksums,
+			condition: stats.condition,
+			totals: stats.totals,
+			...extra
 		});		
-		
-		this.#changes = []; // Reset changes after emitting
 	}
 	
 	/**
 	* Element factory
 	* 
-	* This is configurable by passing a map of asset IDs to element classes in the board config.
+	* This is configurable by passing `asset_to_element` rules in the board config (see ElementRule); the first rule that matches the asset wins, and its `params` are passed to the element constructor.
+	* Assets that no rule matches get an `asset_to_element_default` element (a base `Element` unless configured otherwise).
 	* If called with an asset, the returned element is guaranteed to be willing to .pair() with the asset.
 	* 
 	* @param {Asset|string} [target="Element"] - The asset to create an element for, or the string name of the Element constructor 
-	* @param {object} [params={}] - Additional parameters to pass to the element constructor.
+	* @param {object} [params={}] - Additional parameters to pass to the element constructor.  These override the params of the matching rule.
 	* @returns {Element} An instance of Element or a subclass
-	* @throws {Error} If an element is specified in the config that is configured to not accept the asset, or if a class is missing.
+	* @throws {Error} If an element is specified in the config that is configured to not accept the asset, if a class is missing, or if no rule matches and there is no default.
 	*/
 	element_factory(target="Element", params={}) {
 
@@ -122,7 +456,16 @@ class Board extends EventEmitter {
 		let classname;
 		if (target instanceof Asset) { 
 			
-			classname = this.#asset_to_element.get(target.constructor.name) || "Element"; 
+			const rule = this.#element_rules.find(r => r.matches(target));
+			if (rule) {
+				classname = rule.element;
+				params = { ...rule.params, ...params };
+			} else if (this.#default_element !== null) {
+				classname = this.#default_element;
+			} else {
+				const reasons = this.#element_rules.map((r, i) => `rule ${i} (${r}): ${r.explain(target)}`);
+				throw new Error(`No asset_to_element rule matched ${target}${reasons.length ? `; ${reasons.join('; ')}` : ''}.`);
+			}
 			
 		} else if (typeof target === 'string') { 
 			
@@ -134,11 +477,13 @@ class Board extends EventEmitter {
 		}
 		
 		// Get the actual class
-		const ElementClass = this.#classes[classname];
+		const ElementClass = this.#registry.get(classname);
 		if (!ElementClass) { throw new Error(`Unable to find class '${classname}', did you forget to pass a custom class to the Board constructor?`); }
+		if (!this.#registry.get(classname, 'element')) { throw new Error(`Class '${classname}' is not an Element.`); }
 		
 		// Construct the element and verify it is able to pair with the asset
 		const element = new ElementClass(params);
+		element.scheduler = this.#scheduler;
 		if(target instanceof Asset && !element.pair(target, true)) { throw new Error(`Element class '${classname}' is not configured to accept asset of type '${((typeof target)=='string')?target:target.constructor.name}'.`); }
 		
 		return element;
@@ -149,18 +494,144 @@ class Board extends EventEmitter {
 	* @param {Asset} asset - The asset to add.
 	*/
 	add_asset(asset) {
+		this.#check_disposed();
+
 		if (!(asset instanceof Asset)) { throw new Error("Only instances of Asset can be added."); }
+		if (this.#index.has(asset.id)) { throw new Error(`Asset with ID ${asset.id} already exists.`); }
+		asset.scheduler = this.#scheduler; // So that staleness follows the board's clock
 		
 		// Find a segment that can take this asset
-		for(let segment of this.#segments) { if (segment.add_asset(asset)) { return true; } }
+		for(let segment of this.#segments) { 
+			if (segment.add_asset(asset)) { 
+				this.#watch_asset(asset);
+				return true; 
+			} 
+		}
 		
 		throw new Error(`No segment was willing to take asset with ID '${asset.id}'.  Consider creating a default segment?`);
 	}
 	
+	/**
+	* Create or update an asset from a document
+	* 
+	* If the board has an asset with this ID, its notions are updated in place with .set_with_object().  Otherwise a new asset is made by the asset factory, given the data, and added to the board.
+	* Changes to elements are coalesced into one change event, which is rate limited by min_event_seconds like any other (unlike a batch from .ingest()).
+	* 
+	* @param {string} id - The ID of the asset.
+	* @param {object} data - The document, e.g. the JSON a feed sends for a bot.
+	* @param {object} [options={}] - Options.
+	* @param {string} [options.asset_class='Asset'] - The name of the class to create unknown assets as.  Must be known to the board.
+	* @param {boolean} [options.reverse_deep_search=false] - Passed to .set_with_object().
+	* @param {string|object} [options.timestamp] - Where the document records when values were observed, passed to .set_with_object().
+	* @returns {string} 'created', 'updated', or 'unroutable' if the asset is new and no segment will take it (in which case it is not added, and nothing of it is left on the board's scheduler).
+	* @throws {Error} If the id, data or asset class are invalid or the asset factory fails.
+	*/
+	upsert(id, data, options = {}) {
+		this.#check_disposed();
+
+		if (typeof id !== 'string' || id.trim() === '') { throw new Error("Asset ID must be a non-empty string."); }
+		if (!data || typeof data !== 'object' || Array.isArray(data)) { throw new Error(`Data for asset '${id}' must be an object.`); }
+
+		return this.#batch(() => {
+
+			const found = this.find_asset(id);
+			if (found) {
+				found[1].set_with_object(data, { reverse_deep_search: options.reverse_deep_search, timestamp: options.timestamp });
+				return 'updated';
+			}
+
+			const class_name = options.asset_class ?? 'Asset';
+			const AssetClass = this.#registry.get(class_name);
+			if (!AssetClass) { throw new Error(`Unable to find asset class '${class_name}', did you forget to pass a custom class to the Board constructor?`); }
+			if (AssetClass !== Asset && !(AssetClass.prototype instanceof Asset)) { throw new Error(`Asset class '${class_name}' must be an Asset or inherit from Asset.`); }
+
+			const asset = this.#asset_factory(id, data, AssetClass);
+			if (!(asset instanceof Asset) || asset.id !== id) { throw new Error(`Asset factory did not return an Asset with ID '${id}'.`); }
+
+			// Fill the asset in on a scheduler of its own (on the board's clock), so that if it doesn't make it onto the board its stale timers go with it
+			const trial = new Scheduler({ clock: this.#scheduler.clock });
+			try {
+				asset.scheduler = trial;
+				asset.set_with_object(data, { reverse_deep_search: options.reverse_deep_search, timestamp: options.timestamp });
+
+				if (!this.#segments.some(s => s.accepts(asset))) { return 'unroutable'; }
+				this.add_asset(asset); // Moves the asset onto the board's scheduler
+				return 'created';
+			} finally {
+				if (this.#index.get(id)?.asset !== asset) { asset.scheduler = trial; }
+				trial.dispose();
+			}
+		}, false);
+	}
+
+	/**
+	* Upsert many assets at once
+	* 
+	* Records are processed in order; a bad record is reported and does not stop the rest.  The whole batch produces one change event.
+	* Once every record is in, elements re-evaluate and assets re-home (see Element.dependencies and .rehome()).  Anything that fails then can't be pinned on one record, so it is reported in `errors`.
+	* 
+	* @param {Array<{id: string, data: object, asset_class?: string}>} records - The records.  `asset_class` overrides the option of the same name for one record.
+	* @param {object} [options={}] - Options for every record, see .upsert().
+	* @returns {{created: string[], updated: string[], unroutable: string[], rejected: Array<{index: number, id: *, error: string}>, errors: string[]}} IDs of created, updated and unroutable assets, the records that were rejected with the reason, and what failed after the records were in.
+	* @throws {Error} If records is not an array.
+	*/
+	ingest(records, options = {}) {
+		this.#check_disposed();
+
+		if (!Array.isArray(records)) { throw new Error("Records must be an array."); }
+
+		let report = { created: [], updated: [], unroutable: [], rejected: [], errors: [] };
+		this.#batch(() => {
+			records.forEach((record, index) => {
+				try {
+					if (!record || typeof record !== 'object') { throw new Error("Record must be an object with 'id' and 'data' properties."); }
+					const outcome = this.upsert(record.id, record.data, { ...options, ...(record.asset_class ? { asset_class: record.asset_class } : {}) });
+					report[outcome].push(record.id);
+				} catch (e) {
+					report.rejected.push({ index, id: record?.id, error: e.message });
+				}
+			});
+			report.errors = this.#settle().map(e => e.message); // Settle here rather than when the batch ends, so failures are reported rather than thrown
+		});
+
+		return report;
+	}
+
+	/**
+	* Run a function as a batch, holding back change events until it is done and then emitting them as one
+	* 
+	* Batches may nest; only the outermost one emits.
+	* @private
+	* @param {function(): *} fn - The function to run.
+	* @param {boolean} [force=true] - Whether to emit straight away, regardless of min_event_seconds.  If false, the changes go out when the rate limit allows.
+	* @returns {*} Whatever fn returns.
+	* @throws {Error} Whatever fn throws, or else any errors from settling the batch (see #settle()), once its changes have gone out.
+	*/
+	#batch(fn, force = true) {
+
+		let result, errors = [];
+		this.#batch_depth++;
+		try {
+			result = fn();
+		} finally {
+			try {
+				if (this.#batch_depth === 1) { errors = this.#settle(); } // Still inside the batch, so that what it changes is held back too
+			} finally {
+				this.#batch_depth--;
+			}
+			if (this.#batch_depth === 0) {
+				if (force) { this.flush(); } else { this._change_event_aggregator(); }
+			}
+		}
+
+		if (errors.length) { throw Scheduler.combine_errors(errors); }
+		return result;
+	}
+
 	/** 
 	* Add a segment to the board.
 	* 
-	* Segments should be created by config at construction time! 
+	* Segments should be created by config, at construction time or with .reconfigure()! 
 	* This should only be called by the Board constructor
 	* 
 	* @private
@@ -174,12 +645,209 @@ class Board extends EventEmitter {
 		if (this.#segments.some(s => s.name === segment.name)) { throw new Error(`Segment with name '${segment.name}' already exists.`); }
 
 		this.#segments.push(segment); // Add the segment to the board
+		this.#attach_segment(segment);
+	}
+
+	/**
+	* Pipe change events from a segment to the board, and keep the asset index up to date with the segment's assets
+	* 
+	* The segment index is looked up for each event, since reconfiguration may move segments around.
+	* @private
+	* @param {Segment} segment - The segment.
+	*/
+	#attach_segment(segment) {
+
+		const listeners = [
+			['change', (event) => { this._change_event_aggregator({ ...event, segment_index: this.#segments.indexOf(segment) }); }],
+			['asset_added', ({ asset }) => { this.#index.set(asset.id, { segment, asset }); }],
+			['asset_removed', ({ asset }) => { if (this.#index.get(asset.id)?.segment === segment) { this.#index.delete(asset.id); } }]
+		];
+		for (let [event, listener] of listeners) { segment.on(event, listener); }
+		this.#segment_listeners.set(segment, listeners);
+
+		for (let asset of segment.assets) { this.#index.set(asset.id, { segment, asset }); }
+	}
+
+	/**
+	* Stop piping change events from a segment to the board, and drop its assets from the asset index
+	* @private
+	* @param {Segment} segment - The segment.
+	*/
+	#detach_segment(segment) {
+
+		for (let [event, listener] of this.#segment_listeners.get(segment) || []) { segment.off(event, listener); }
+		this.#segment_listeners.delete(segment);
+		this.#segment_configs.delete(segment);
+
+		for (let asset of segment.assets) {
+			if (this.#index.get(asset.id)?.segment === segment) { this.#index.delete(asset.id); }
+		}
+	}
+
+	/**
+	* Reconfigure the board without restarting
+	* 
+	* The new config is validated first (see validate_config()) and nothing changes if it is invalid.  Segments are matched to the current ones by name:
+	* - segments whose config is unchanged are kept as they are
+	* - new segments, and segments whose config has changed (including their static elements), are created from scratch
+	* - segments that are no longer in the config are dropped
+	* Assets from dropped and recreated segments are re-homed, as are any other assets that now belong in another segment.  Assets that no segment accepts any more are removed from the board.
+	* 
+	* Since segment and element indices may change, a single change event is emitted with `reconfigured: true`, the names of all `segments` in order, changes for every element of new and recreated segments, and checksums for all segments, so that clients can resync.
+	* 
+	* @param {object} new_config - The new board config.
+	* @returns {{added: string[], updated: string[], removed: string[], moved: string[], dropped: string[]}} Names of added, updated and removed segments, and IDs of moved and dropped assets.
+	* @throws {Error} If the new config is invalid.
+	*/
+	reconfigure(new_config) {
+		this.#check_disposed();
+
+		const errors = Board.validate_config(new_config, this.#registry);
+		if (errors.length > 0) { throw new Error(`Invalid board config: ${errors.join('; ')}`); }
+		this.#extend_registry(new_config);
+
+		// Work out the new segment list before touching anything, so that errors leave the board as it was
+		const old_segments = [...this.#segments];
+		let report = { added: [], updated: [], removed: [], moved: [], dropped: [] };
+		let fresh = new Set();
+		const new_segments = (new_config.segments || []).map(s => {
+			const existing = old_segments.find(o => o.name === (s.name || 'Segment'));
+			if (existing && this.#segment_configs.get(existing) === Board.#config_key(s)) { return existing; }
+
+			const segment = this.#create_segment(s);
+			fresh.add(segment);
+			report[existing ? 'updated' : 'added'].push(segment.name);
+			return segment;
+		});
+		if (new Set(new_segments.map(s => s.name)).size !== new_segments.length) { throw new Error("Segment names must be unique."); }
+		this.#apply_board_config(new_config);
+
+		// Take the assets out of segments that are going away
+		let orphans = [];
+		for (let segment of old_segments.filter(s => !new_segments.includes(s))) {
+			if (!report.updated.includes(segment.name)) { report.removed.push(segment.name); }
+			this.#detach_segment(segment);
+			for (let asset of segment.assets) {
+				segment.remove_asset(asset.id);
+				orphans.push(asset);
+			}
+			segment.dispose();
+		}
+
+		// Swap in the new segments
+		this.#segments = new_segments;
+		for (let segment of fresh) { this.#attach_segment(segment); }
+		this.#changes = []; // Indices of any pending changes are meaningless now
+
+		// Re-home everything, holding back their changes for the event below
+		this.#batch_depth++;
+		try {
+			for (let asset of orphans) {
+				this.#unwatch_asset(asset.id);
+				if (this.#segments.some(s => s.add_asset(asset))) { this.#watch_asset(asset); }
+				else { report.dropped.push(asset.id); }
+			}
+			for (let segment of this.#segments.filter(s => !fresh.has(s))) {
+				for (let asset of segment.assets) {
+					if (this.rehome(asset.id)) { report.moved.push(asset.id); }
+					this.#unwatch_asset(asset.id);
+					this.#watch_asset(asset); // Membership notions may have changed with the segments
+				}
+			}
+		} finally {
+			this.#batch_depth--;
+		}
 
-		// Pipe change events from the segment to the board
-		let segment_index = this.#segments.length - 1; 
-		segment.on('change', (event) => { this._change_event_aggregator({ ...event, segment_index }); });
+		// Tell clients to resync
+		const resync = this.#segments.flatMap((segment, segment_index) => !fresh.has(segment) ? [] : segment.elements.map((element, element_index) => ({ segment_index, element_index, summary: element?.summary ?? '' })));
+		this.#changes = [...resync, ...this.#changes];
+		this.#replay = []; // Older batches refer to the old layout
+		this.#emit_change({ reconfigured: true, segments: this.#segments.map(s => s.name) });
+
+		return report;
 	}
 	
+	/**
+	* Remove a segment while the board is running
+	* 
+	* The segment's assets are re-homed into the first other segment that accepts them, or removed from the board if none does.  The segment is then torn down: its elements are unpaired and every listener the board and segment attached is removed.
+	* Since segment indices change, a change event with `reconfigured: true` is emitted, just as for .reconfigure().
+	* 
+	* @param {string} name - The name of the segment.
+	* @returns {{moved: string[], dropped: string[]}} IDs of assets that moved to another segment and of assets that were removed from the board.
+	* @throws {Error} If there is no such segment, or the board has been disposed.
+	*/
+	remove_segment(name) {
+
+		this.#check_disposed();
+		const segment = this.#segments.find(s => s.name === name);
+		if (!segment) { throw new Error(`Segment '${name}' not found.`); }
+
+		this.#detach_segment(segment);
+		const orphans = segment.assets;
+		for (let asset of orphans) { segment.remove_asset(asset.id); }
+		segment.dispose();
+
+		this.#segments = this.#segments.filter(s => s !== segment);
+		this.#changes = []; // Indices of any pending changes are meaningless now
+
+		// Re-home the orphans, holding back their changes for the event below
+		let report = { moved: [], dropped: [] };
+		this.#batch_depth++;
+		try {
+			for (let asset of orphans) {
+				this.#unwatch_asset(asset.id);
+				if (this.#segments.some(s => s.add_asset(asset))) { this.#watch_asset(asset); report.moved.push(asset.id); }
+				else { report.dropped.push(asset.id); }
+			}
+		} finally {
+			this.#batch_depth--;
+		}
+
+		this.#replay = []; // Older batches refer to the old layout
+		this.#emit_change({ reconfigured: true, segments: this.#segments.map(s => s.name) });
+
+		return report;
+	}
+
+	/**
+	* Tear down the board
+	* 
+	* Pending changes are flushed and the flush timer is stopped (see .close()), every segment is torn down (unpairing all elements and removing the listeners that the board, segments and elements attached), the board stops watching its assets, and every scheduled re-evaluation is cancelled.
+	* Finally `disposed` is emitted and all listeners on the board are removed.  Any further calls fail.
+	* 
+	* @throws {Error} If the board has already been disposed.
+	*/
+	dispose() {
+
+		this.close();
+
+		for (let segment of this.#segments) {
+			this.#detach_segment(segment);
+			segment.dispose();
+		}
+		for (let id of [...this.#watchers.keys()]) { this.#unwatch_asset(id); }
+		this.#scheduler.dispose();
+		this.#segments = [];
+		this.#changes = [];
+		this.#replay = [];
+		this.#disposed = true;
+
+		this.emit('disposed', { board: this });
+		this.removeAllListeners();
+	}
+
+	get disposed() { return this.#disposed; }
+
+	/**
+	* Throw if the board has been disposed
+	* @private
+	* @throws {Error} If the board has been disposed.
+	*/
+	#check_disposed() {
+		if (this.#disposed) { throw new Error(`Board '${this.#name}' has been disposed.`); }
+	}
+
 	/**
 	* Find an asset
 	* 
@@ -188,16 +856,27 @@ class Board extends EventEmitter {
 	*/
 	find_asset(id) {
 		
-		if (typeof id !== 'string' || id.trim() === '') { throw new Error("Asset ID must be a non-empty string."); }
-		
-		for (let segment of this.#segments) {
-			const asset = segment.find_asset(id);
-			if (asset) {
-				return [segment, asset]; // Return both the owning segment and the asset
-			}
-		}	
+		const found = this.lookup(id);
+		return found ? [found.segment, found.asset] : null; // Return both the owning segment and the asset
+	}
+
+	/**
+	* Look up an asset, its segment and its element
+	* 
+	* The board keeps an index of every asset, so this takes constant time however many assets and segments there are.
+	* 
+	* @param {string} id - The ID of the asset.
+	* @returns {{segment: Segment, asset: Asset, element: Element|null}|null} The asset with its segment and the element it is paired with, or null if the board has no such asset.
+	*/
+	lookup(id) {
+		this.#check_disposed();
 		
-		return null; // No segment found with the asset ID
+		if (typeof id !== 'string' || id.trim() === '') { throw new Error("Asset ID must be a non-empty string."); }
+
+		const found = this.#index.get(id);
+		if (!found) { return null; }
+
+		return { segment: found.segment, asset: found.asset, element: found.segment.find_element(id) };
 	}
 	
 	/**
@@ -206,6 +885,7 @@ class Board extends EventEmitter {
 	* @returns {boolean} True if the asset was removed, false if it was not found.
 	*/
 	remove_asset(id) {
+		this.#check_disposed();
 		
 		if (typeof id !== 'string' || id.trim() === '') {
 			throw new Error("Asset ID must be a non-empty string.");
@@ -216,9 +896,172 @@ class Board extends EventEmitter {
 		
 		let [segment, _] = found;
 		if (!segment.remove_asset(id)) { throw new Error(`Asset with ID '${id}' could not be removed from segment.`); }
+		this.#unwatch_asset(id);
 		
 		return true; // Asset removed successfully
 	}
+
+	/**
+	* Snapshot the board
+	* 
+	* The snapshot holds the layout of every segment (element slots including `null` holes, and which asset each element is paired with), every asset with its notion values and timestamps, and the seq of the last change event.
+	* It is plain JSON, so it can be written to disk and handed to .restore() after a restart.
+	* 
+	* @returns {object} A JSON-serializable snapshot.
+	*/
+	snapshot() {
+		this.#check_disposed();
+
+		return {
+			version: 1,
+			name: this.#name,
+			seq: this.#seq,
+			segments: this.#segments.map(s => s.snapshot()),
+			assets: this.#segments.flatMap(s => s.assets).map(a => a.snapshot())
+		};
+	}
+
+	/**
+	* Restore a snapshot
+	* 
+	* The board must have been constructed with the same config as the board that made the snapshot, and must not have any assets yet.
+	* Assets are recreated (their classes must be known to the board) and segments are laid out exactly as they were, so element indices and segment checksums match the snapshot and connected clients stay in sync.
+	* The restored pairings go out as one change event, numbered on from the snapshot's seq.
+	* 
+	* @param {object} snapshot - A snapshot made by .snapshot().
+	* @throws {Error} If the snapshot is invalid or does not match the board.
+	*/
+	restore(snapshot) {
+		this.#check_disposed();
+
+		if (!snapshot || snapshot.version !== 1) { throw new Error("Unsupported board snapshot; expected an object with version 1."); }
+		if (this.#segments.some(s => s.assets.length > 0)) { throw new Error("Board must not have any assets to be restored."); }
+		if (!Array.isArray(snapshot.segments) || snapshot.segments.length !== this.#segments.length || snapshot.segments.some((s, i) => s.name !== this.#segments[i].name)) {
+			throw new Error("Snapshot segments do not match the board segments; was the board constructed with the same config?");
+		}
+
+		// Recreate the assets
+		let assets = new Map();
+		for (let a of snapshot.assets || []) {
+			const AssetClass = this.#registry.get(a.class);
+			if (!AssetClass) { throw new Error(`Unable to find asset class '${a.class}', did you forget to pass a custom class to the Board constructor?`); }
+			if (AssetClass !== Asset && !(AssetClass.prototype instanceof Asset)) { throw new Error(`Asset class '${a.class}' must be an Asset or inherit from Asset.`); }
+			const asset = AssetClass.from_snapshot(a);
+			asset.scheduler = this.#scheduler;
+			assets.set(a.id, asset);
+		}
+
+		// Carry on counting from the snapshot, so clients that are up to date stay that way; the batches themselves are gone
+		this.#seq = snapshot.seq ?? 0;
+		this.#replay = [];
+
+		// Lay out the segments, then watch the assets as though they had been added.  What that changes goes out as one change event, after the snapshot's seq
+		this.#batch(() => {
+			this.#segments.forEach((segment, i) => segment._restore(snapshot.segments[i], assets));
+			for (let segment of this.#segments) {
+				for (let asset of segment.assets) { this.#watch_asset(asset); }
+			}
+		});
+	}
+
+	/**
+	* Re-home an asset
+	* 
+	* The asset belongs in the first segment that accepts it.  If that isn't the segment it is in, it is removed from its old segment (unpairing and pruning its element) and added to the new one, which pairs it with a static element or creates a new one.
+	* If no segment accepts the asset any more, or the new segment fails to add it, it stays where it is.
+	* 
+	* This is called automatically when any notion that feeds segment membership (see Segment.membership_notions()) changes; failures are then reported with a `rehome_failed` event.
+	* 
+	* @param {string} id - The ID of the asset to re-home.
+	* @returns {boolean} True if the asset was moved, false otherwise.
+	* @throws {Error} If the new segment fails to add the asset.
+	* @emits asset_moved
+	*/
+	rehome(id) {
+		this.#check_disposed();
+
+		const found = this.find_asset(id);
+		if (!found) { return false; }
+
+		const [from, asset] = found;
+		const to = this.#segments.find(s => s.accepts(asset));
+		if (!to || to === from) { return false; }
+
+		// Add before removing, so that if the new segment fails the asset is still where it was
+		if (!to.add_asset(asset)) { throw new Error(`Segment '${to.name}' accepted asset with ID '${id}' but then refused to add it.`); }
+		if (!from.remove_asset(id)) { throw new Error(`Asset with ID '${id}' could not be removed from segment.`); }
+
+		this.emit('asset_moved', { asset, from, to });
+		return true;
+	}
+
+	/**
+	* Watch the notions of an asset that any segment uses to decide membership
+	* 
+	* Changes are collected and the asset is re-homed on the next tick, so that updating several notions at once (e.g. lat and lon) only re-homes once.
+	* @private
+	* @param {Asset} asset - The asset to watch.
+	*/
+	#watch_asset(asset) {
+
+		const names = [...new Set(this.#segments.flatMap(s => s.membership_notions(asset)))];
+		if (names.length === 0) { return; }
+
+		this.#watchers.set(asset.id, asset.watch(names, () => {
+			if (this.#pending_rehome.size === 0) { process.nextTick(() => this.#rehome_pending()); }
+			this.#pending_rehome.add(asset.id);
+		}));
+	}
+
+	/**
+	* Stop watching an asset
+	* @private
+	* @param {string} id - The ID of the asset.
+	*/
+	#unwatch_asset(id) {
+
+		this.#watchers.get(id)?.();
+		this.#watchers.delete(id);
+		this.#pending_rehome.delete(id);
+	}
+
+	/**
+	* Do now what would otherwise wait for the next tick, so that its changes make it into the current batch: re-home assets whose membership notions changed, then let elements re-evaluate (see Element.dependencies)
+	* 
+	* Everything is attempted even if some of it fails.
+	* @private
+	* @returns {Error[]} What failed; empty if nothing did.
+	*/
+	#settle() {
+
+		return [...this.#rehome_pending(), ...this.#scheduler.settle()];
+	}
+
+	/**
+	* Re-home all assets that have changed since the last tick
+	* 
+	* This runs outside of any caller (e.g. on the next tick), so an asset that can't move is reported with a `rehome_failed` event rather than thrown, and the rest still move.
+	* @private
+	* @returns {Error[]} Why assets could not move; empty if they all could.
+	* @emits rehome_failed
+	*/
+	#rehome_pending() {
+
+		const ids = [...this.#pending_rehome];
+		this.#pending_rehome.clear();
+
+		let errors = [];
+		for (let id of ids) {
+			try {
+				this.rehome(id);
+			} catch (error) {
+				const [segment, asset] = this.find_asset(id) ?? [null, null];
+				this.emit('rehome_failed', { asset, segment, error });
+				errors.push(error);
+			}
+		}
+		return errors;
+	}
 	
 	
 }
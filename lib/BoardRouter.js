@@ -14,12 +14,12 @@ class BoardRouter {
 	/**
 	* Creates a new BoardRouter instance.
 	* @param {Object} config - Configuration object for the router.
-	* @param {Board} config.board - The Board instance to expose via the router.
+	* @param {Board|BoardView} config.board - The Board (or BoardView) instance to expose via the router.
 	* @param {string} [config.base_url=''] - The base URL under which the router is mounted (e.g., '/api').
-	* @throws {Error} If the board is not a valid Board instance.
+	* @throws {Error} If the board is not a valid Board or BoardView instance.
 	*/
 	constructor(config = {}) {
-		if (!config.board || config.board.constructor.name !== 'Board') {
+		if (!config.board || !['Board', 'BoardView'].includes(config.board.constructor.name)) {
 			throw new Error('A valid Board instance must be provided to the BoardRouter constructor.');
 		}
 		
@@ -32,6 +32,7 @@ class BoardRouter {
 		this.#router.get('/board/segment/:id', this.#get_segment.bind(this));
 		this.#router.get('/board/segment/:id/element/:element_id', this.#get_element.bind(this));
 		this.#router.get('/board/asset/:id', this.#get_asset.bind(this));
+		this.#router.get('/board/asset/:id/notion/:name/history', this.#get_notion_history.bind(this));
 	}
 	
 	/**
@@ -79,6 +80,55 @@ class BoardRouter {
 		}
 	}
 
+	/**
+	 * Handles GET /board/asset/:id/notion/:name/history request, returning the notion's history in JSON:API format.
+	 * 
+	 * Optional `from` and `to` query parameters (ISO 8601 or milliseconds since the epoch) limit the range; the statistics and slope (per second) cover the same range.
+	 * @param {express.Request} req - The Express request object.
+	 * @param {express.Response} res - The Express response object.
+	 * @param {express.NextFunction} next - The Express next function.
+	 * @private
+	*/
+	#get_notion_history(req, res, next) {
+		try {
+			const { id: asset_id, name } = req.params;
+			const [segment, asset] = this.#board.find_asset(asset_id) || [];
+			if (!asset || !(asset instanceof Asset)) {
+				throw new Error(`Asset with ID '${asset_id}' not found`);
+			}
+
+			const notion = asset.get_notion(name);
+			if (!notion) { throw new Error(`Notion '${name}' not found on asset '${asset_id}'`); }
+			if (!notion.history_options) { throw new Error(`Notion '${name}' of asset '${asset_id}' does not keep history`); }
+
+			const time = (q) => (typeof q === 'string' && /^\d+$/.test(q)) ? Number(q) : q;
+			const from = time(req.query.from);
+			const to = time(req.query.to);
+
+			res.set('Content-Type', 'application/vnd.api+json');
+			res.json({
+				jsonapi: { version: '1.0' },
+				data: {
+					type: 'notion_history',
+					id: `${asset_id}/${name}`,
+					attributes: {
+						name,
+						...notion.history_options,
+						entries: notion.range(from, to).map(e => ({ value: e.value, timestamp: e.timestamp.toISOString() })),
+						stats: notion.stats(from, to),
+						slope: notion.slope(from, to)
+					},
+				},
+				links: {
+					self: `${this.#base_url}/board/asset/${asset_id}/notion/${name}/history`,
+					asset: `${this.#base_url}/board/asset/${asset_id}`,
+				},
+			});
+		} catch (err) {
+			next(new Error(`Failed to retrieve notion history: ${err.message}`));
+		}
+	}
+
 	/**
 	* Handles GET /board/segment/:id request, returning the segment's information and elements in JSON:API format.
 	* @private
@@ -0,0 +1,229 @@
+const SegmentView = require('./SegmentView');
+const ConditionRollup = require('./ConditionRollup');
+const ElementCondition = require('./ElementCondition');
+const EventEmitter = require('node:events').EventEmitter;
+
+/**
+ * @event change
+ * @description Emitted when something visible in the view has changed.  Same shape as the Board change event, but indices and checksums refer to the view's segments and elements.
+ * @param {Object} data - The data associated with the change event.
+ * @param {BoardView} data.view - The view.
+ * @param {Board} data.board - The underlying board.
+ * @param {Array<{segment_index: number, element_index: number, summary: string|null}>} data.changes - The changes.  An element that has dropped out of the view is reported with a `null` summary.
+ * @param {Array<{segment_index: number, checksum: number}>} data.segment_checksums - Checksums of the changed view segments.
+ * @param {object} data.condition - The condition of the view.
+ * @param {object} data.totals - Totals across all visible elements.
+ */
+
+/**
+ * @class BoardView
+ * @description A filtered view on a Board, e.g. for a department that only cares about some segments or some kinds of assets.
+ * 
+ * A view exposes a subset of the board's segments (as SegmentViews), optionally showing only elements whose asset is of given classes and/or whose condition is one of the given conditions.  Hidden elements appear as `null`, so element indices stay the same as on the board.  The view keeps its own `change` event stream and checksums, and can be mounted by a BoardRouter exactly like a Board.
+ */
+class BoardView extends EventEmitter {
+
+	#board;
+	#name;
+	#segment_names;
+	#asset_classes;
+	#conditions;
+	#views = [];
+	#visible = new Set(); // Keys (`${segment_name}-${element_index}`) of elements that were visible when we last looked
+	#listener;
+
+	/**
+	 * Creates a new BoardView
+	 * @param {object} [config={}] - The view config.
+	 * @param {string} [config.name] - The name of the view, defaults to the name of the board.
+	 * @param {string[]} [config.segments] - Names of the segments to show, defaults to all of them.
+	 * @param {string[]} [config.asset_classes] - If set, only show elements paired with assets of these classes (or their subclasses).
+	 * @param {string[]} [config.conditions] - If set, only show elements in these conditions, e.g. `['red', 'yellow']`.
+	 * @param {Board} board - The board to view.
+	 * @throws {Error} If the board or config is invalid.
+	 */
+	constructor(config = {}, board) {
+
+		super();
+
+		if (!board || board.constructor.name !== 'Board') { throw new Error("A valid Board instance must be provided to the BoardView constructor."); }
+		this.#board = board;
+
+		this.#name = config.name ?? board.name;
+		if (this.#name !== undefined && typeof this.#name !== 'string') { throw new Error("BoardView name must be a string."); }
+
+		for (let key of ['segments', 'asset_classes', 'conditions']) {
+			const value = config[key];
+			if (value !== undefined && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) { throw new Error(`BoardView ${key} must be an array of strings.`); }
+		}
+
+		this.#segment_names = config.segments ?? null;
+		for (let name of this.#segment_names || []) {
+			if (!board.segments.some(s => s.name === name)) { throw new Error(`Segment '${name}' not found on board.`); }
+		}
+
+		this.#asset_classes = config.asset_classes ?? null;
+		this.#conditions = config.conditions ?? null;
+		for (let condition of this.#conditions || []) {
+			if (!ElementCondition.validate_condition(condition)) { throw new Error(`Invalid condition '${condition}' in BoardView conditions.`); }
+		}
+
+		this.#build();
+
+		this.#listener = (event) => this.#on_board_change(event);
+		board.on('change', this.#listener);
+	}
+
+	get name() { return this.#name; }
+	get board() { return this.#board; }
+
+	/**
+	 * The visible segments
+	 * @returns {SegmentView[]} Views of the segments, in board order.
+	 */
+	get segments() { return this.#views; }
+
+	/**
+	 * The condition of the view, rolled up from the visible elements of each segment using the board's rollup
+	 * @returns {ElementCondition} The condition.
+	 */
+	get condition() {
+		return this.#board.rollup.rollup(this.#views.filter(v => v.elements.some(e => e !== null)).map(v => v.condition));
+	}
+
+	/**
+	 * Statistics for the view
+	 * @returns {object} Same as Board.stats(), for the visible segments and elements only.
+	 */
+	stats() {
+
+		const segments = this.#views.map((view, segment_index) => ({ segment_index, ...view.stats() }));
+		const elements = this.#views.flatMap(v => v.elements.filter(e => e !== null));
+
+		return {
+			condition: this.condition.toObject(),
+			totals: ConditionRollup.tally(elements.map(e => e.effective_condition)),
+			segments
+		};
+	}
+
+	/**
+	 * Find an asset that is visible in this view
+	 * 
+	 * @param {string} id - The ID of the asset to find.
+	 * @returns {Array|null} an array containing [segment_view, asset] if found, otherwise null.
+	 */
+	find_asset(id) {
+
+		if (typeof id !== 'string' || id.trim() === '') { throw new Error("Asset ID must be a non-empty string."); }
+
+		for (let view of this.#views) {
+			const asset = view.find_asset(id);
+			if (asset) { return [view, asset]; }
+		}
+
+		return null;
+	}
+
+	/**
+	 * Stop following the board
+	 * 
+	 * The view stops emitting change events.  Call this when the view is no longer needed, otherwise the board keeps it alive.
+	 */
+	dispose() {
+		this.#board.off('change', this.#listener);
+	}
+
+	/**
+	 * Check whether an element passes the asset class and condition filters
+	 * @private
+	 * @param {Element} element - The element.
+	 * @returns {boolean} True if the element should be visible.
+	 */
+	#filter(element) {
+
+		if (this.#asset_classes) {
+			if (!element.asset) { return false; }
+
+			// Match the asset's class or any class it inherits from
+			let names = [];
+			for (let proto = Object.getPrototypeOf(element.asset); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) { names.push(proto.constructor.name); }
+			if (!this.#asset_classes.some(c => names.includes(c))) { return false; }
+		}
+
+		if (this.#conditions && !this.#conditions.includes(element.effective_condition.condition)) { return false; }
+
+		return true;
+	}
+
+	/**
+	 * (Re)build the segment views from the board's current segments, and note which elements are visible
+	 * @private
+	 */
+	#build() {
+
+		const filter = (element) => this.#filter(element);
+		this.#views = this.#board.segments
+			.filter(s => !this.#segment_names || this.#segment_names.includes(s.name))
+			.map(s => new SegmentView(s, filter));
+
+		this.#visible = new Set();
+		for (let view of this.#views) {
+			view.elements.forEach((e, i) => { if (e) { this.#visible.add(`${view.name}-${i}`); } });
+		}
+	}
+
+	/**
+	 * Translate a board change event into a view change event
+	 * 
+	 * Board indices are mapped to view indices, and changes to elements that are neither visible now nor were visible before are dropped.
+	 * @private
+	 * @param {object} event - The board change event.
+	 */
+	#on_board_change(event) {
+
+		if (event.reconfigured) { this.#build(); }
+
+		let changes = [];
+		for (let change of event.changes) {
+
+			const segment = this.#board.segments[change.segment_index];
+			const segment_index = this.#views.findIndex(v => v.segment === segment);
+			if (segment_index === -1) continue;
+
+			const view = this.#views[segment_index];
+			const element = segment.elements[change.element_index];
+			const key = `${view.name}-${change.element_index}`;
+			const visible = view.shows(element);
+
+			if (!visible && !this.#visible.has(key)) continue;
+			if (visible) { this.#visible.add(key); } else { this.#visible.delete(key); }
+
+			changes.push({ segment_index, element_index: change.element_index, summary: visible ? element.summary : null });
+		}
+
+		if (changes.length === 0 && !event.reconfigured) { return; }
+
+		const indices = event.reconfigured ? this.#views.map((_, i) => i) : Array.from(new Set(changes.map(change => change.segment_index)));
+		const segment_checksums = indices.map(index => ({
+			segment_index: index,
+			checksum: this.#views[index].checksum
+		}));
+
+		const stats = this.stats();
+		let extra = {};
+		if (event.reconfigured) { extra = { reconfigured: true, segments: this.#views.map(v => v.name) }; }
+
+		this.emit('change', {
+			view: this,
+			board: this.#board,
+			changes,
+			segment_checksums,
+			condition: stats.condition,
+			totals: stats.totals,
+			...extra
+		});
+	}
+}
+
+module.exports = BoardView;
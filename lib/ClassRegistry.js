@@ -0,0 +1,210 @@
+const Asset = require('./Asset');
+const Segment = require('./Segment');
+const GeoSegment = require('./GeoSegment');
+const Element = require('./Element');
+const RequirementElement = require('./RequirementElement');
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = { asset: Asset, segment: Segment, element: Element };
+
+/**
+ * @class ClassRegistry
+ * @description The classes a Board can construct by name, i.e. the `class` strings in board.conf.
+ *
+ * Every class is registered under a unique name as one of three kinds: 'asset', 'segment' or 'element'; its inheritance is checked when it is registered, so mistakes show up straight away rather than deep inside a constructor.  The built in classes are always registered.
+ *
+ * Classes can also come from plugins, so that teams can share element libraries as npm packages.  A plugin is a module that exports any of:
+ * - `name` - a name for error messages
+ * - `classes` - an array of classes (or `{ Class, kind, name }` objects), or an object of name → class
+ * - `register(registry)` - a function that registers whatever it likes
+ *
+ * Plugin classes bring their own config schema in the usual way, by extending their static `config_schema`.
+ */
+class ClassRegistry {
+
+	#classes = new Map(); // Maps names to { Class, kind }
+	#plugins = new Set(); // Plugins that have been loaded
+
+	/**
+	 * Creates a new ClassRegistry with the built in classes
+	 * @param {object} [classes={}] - More classes to register, keyed by name.
+	 * @throws {Error} If any class can't be registered.
+	 */
+	constructor(classes = {}) {
+
+		for (let Class of [Asset, Segment, GeoSegment, Element, RequirementElement]) { this.register(Class); }
+		for (let [name, Class] of Object.entries(classes)) { this.register(Class, { name }); }
+	}
+
+	/**
+	 * Make a registry from whatever was passed to the Board constructor
+	 * @param {ClassRegistry|object} [classes={}] - A registry, which is used as it is, or an object of classes keyed by name.
+	 * @returns {ClassRegistry} The registry.
+	 * @static
+	 */
+	static from(classes = {}) {
+		return (classes instanceof ClassRegistry) ? classes : new ClassRegistry(classes);
+	}
+
+	/**
+	 * The kind of a class, from its inheritance
+	 * @param {Function} Class - The class.
+	 * @returns {string|null} 'asset', 'segment' or 'element', or null if it is none of them.
+	 * @static
+	 */
+	static kind_of(Class) {
+		if (typeof Class !== 'function') { return null; }
+		for (let [kind, Base] of Object.entries(KINDS)) {
+			if (Class === Base || Class.prototype instanceof Base) { return kind; }
+		}
+		return null;
+	}
+
+	/**
+	 * Register a class
+	 *
+	 * Registering the same class under the same name again does nothing.
+	 * @param {Function} Class - The class.
+	 * @param {object} [options={}] - Options.
+	 * @param {string} [options.kind] - 'asset', 'segment' or 'element'.  Defaults to whatever the class inherits from; if given, the class must inherit from it.
+	 * @param {string} [options.name] - The name to register the class under, defaults to the class name.
+	 * @returns {string} The name the class was registered under.
+	 * @throws {Error} If the class is not an Asset, Segment or Element (or not the given kind), or if the name is taken by another class.
+	 */
+	register(Class, options = {}) {
+
+		if (typeof Class !== 'function') { throw new Error("Only classes can be registered."); }
+
+		const name = options.name ?? Class.name;
+		if (typeof name !== 'string' || name === '') { throw new Error("Class name must be a non-empty string."); }
+
+		const kind = ClassRegistry.kind_of(Class);
+		if (!kind) { throw new Error(`Class '${name}' must inherit from Asset, Segment or Element.`); }
+		if (options.kind !== undefined) {
+			if (!(options.kind in KINDS)) { throw new Error(`Invalid kind '${options.kind}'. Valid kinds are: ${Object.keys(KINDS).join(', ')}`); }
+			if (options.kind !== kind) { throw new Error(`Class '${name}' does not inherit from ${KINDS[options.kind].name}.`); }
+		}
+
+		const existing = this.#classes.get(name);
+		if (existing && existing.Class !== Class) { throw new Error(`Class name '${name}' is already registered to a different ${existing.kind} class.`); }
+
+		this.#classes.set(name, { Class, kind });
+		return name;
+	}
+
+	/**
+	 * Get a class by name
+	 * @param {string} name - The name the class was registered under.
+	 * @param {string} [kind] - If given, only return the class if it is of this kind.
+	 * @returns {Function|undefined} The class, or undefined if there is none.
+	 */
+	get(name, kind) {
+		const entry = this.#classes.get(name);
+		if (!entry || (kind !== undefined && entry.kind !== kind)) { return undefined; }
+		return entry.Class;
+	}
+
+	/**
+	 * Check whether a name is registered
+	 * @param {string} name - The name.
+	 * @returns {boolean} True if a class is registered under the name.
+	 */
+	has(name) {
+		return this.#classes.has(name);
+	}
+
+	/**
+	 * Names of the registered classes
+	 * @param {string} [kind] - If given, only names of classes of this kind.
+	 * @returns {string[]} The names, in the order they were registered.
+	 */
+	names(kind) {
+		return [...this.#classes].filter(([_, entry]) => kind === undefined || entry.kind === kind).map(([name]) => name);
+	}
+
+	/**
+	 * Load a plugin
+	 *
+	 * Loading the same plugin again does nothing.
+	 * @param {string|object} plugin - A plugin module, or the name of one to require (package names and paths are resolved from the current working directory).
+	 * @returns {string[]} The names of the classes the plugin registered.
+	 * @throws {Error} If the plugin can't be loaded or its classes can't be registered.
+	 */
+	load_plugin(plugin) {
+
+		let label = plugin;
+		if (typeof plugin === 'string') {
+			try { plugin = require(require.resolve(plugin, { paths: [process.cwd()] })); }
+			catch (e) { throw new Error(`Unable to load plugin '${label}': ${e.message}`); }
+		}
+		if (!plugin || (typeof plugin !== 'object' && typeof plugin !== 'function')) { throw new Error("Plugin must be a module or the name of one."); }
+		label = plugin.name ?? label;
+		if (typeof label !== 'string') { label = 'unnamed'; }
+
+		if (this.#plugins.has(plugin)) { return []; }
+		if (plugin.classes === undefined && typeof plugin.register !== 'function') { throw new Error(`Plugin '${label}' must export classes or a register() function.`); }
+
+		const before = new Set(this.names());
+		try {
+			let classes = plugin.classes ?? [];
+			if (!Array.isArray(classes)) { classes = Object.entries(classes).map(([name, Class]) => ({ Class, name })); }
+			for (let entry of classes) {
+				if (typeof entry === 'function') { this.register(entry); }
+				else { this.register(entry?.Class, { kind: entry?.kind, name: entry?.name }); }
+			}
+			if (typeof plugin.register === 'function') { plugin.register(this); }
+		} catch (e) {
+			throw new Error(`Plugin '${label}': ${e.message}`);
+		}
+
+		this.#plugins.add(plugin);
+		return this.names().filter(n => !before.has(n));
+	}
+
+	/**
+	 * Define asset classes from declarations (see Asset.define()) and register them
+	 *
+	 * A declaration may name a registered asset class in `extends`, including one defined earlier in the same call.  Defining a class again from the same declaration does nothing.
+	 * @param {object|string} declarations - Declarations keyed by class name, or the name of a JSON file of them (resolved from the current working directory).
+	 * @returns {string[]} The names of the classes that were defined.
+	 * @throws {Error} If the declarations can't be read, or any of them is invalid or clashes with a registered class.
+	 */
+	define_assets(declarations) {
+
+		if (typeof declarations === 'string') {
+			const file = declarations;
+			try { declarations = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8')); }
+			catch (e) { throw new Error(`Unable to read asset classes from '${file}': ${e.message}`); }
+		}
+		if (!declarations || typeof declarations !== 'object' || Array.isArray(declarations)) { throw new Error("Asset classes must be an object of declarations keyed by class name, or the name of a JSON file."); }
+
+		let defined = [];
+		for (let [name, declaration] of Object.entries(declarations)) {
+
+			if (declaration && typeof declaration === 'object' && !Array.isArray(declaration)) { declaration = { ...declaration, name }; }
+
+			const existing = this.get(name);
+			if (existing?.declaration && JSON.stringify(existing.declaration) === JSON.stringify(declaration)) continue;
+
+			const base = declaration?.extends ?? 'Asset';
+			const Base = this.get(base, 'asset');
+			if (!Base) { throw new Error(`Asset class '${name}' extends '${base}', which is not a registered asset class.`); }
+
+			this.register(Base.define(declaration), { kind: 'asset' });
+			defined.push(name);
+		}
+
+		return defined;
+	}
+
+	/**
+	 * The registered classes as a plain object, e.g. for ConfigSchema
+	 * @returns {object} Classes keyed by name.
+	 */
+	toObject() {
+		return Object.fromEntries([...this.#classes].map(([name, entry]) => [name, entry.Class]));
+	}
+}
+
+module.exports = ClassRegistry;
@@ -0,0 +1,161 @@
+const ElementCondition = require('./ElementCondition');
+
+const POLICIES = ['worst', 'threshold'];
+const SEVERITY = ['green', 'unknown', 'yellow', 'red']; // Least to most severe, same order as ConditionRowSorter rows
+
+/**
+ * @class ConditionRollup
+ * @description Summarizes many ElementConditions into one, e.g. to express the condition of a whole Segment.
+ *
+ * Policies:
+ * - `worst` (default): the most severe condition wins (red > yellow > unknown > green)
+ * - `threshold`: a condition wins if more than `thresholds[condition]` percent of conditions are at that severity or worse, e.g. `{ red: 5 }` means "red if >5% red".  If no threshold is exceeded, the result is green as long as green conditions outnumber unknown ones, and unknown otherwise (e.g. when every condition is unknown), since green must be affirmed.
+ *
+ * With `ignore_unknown`, unknown conditions are dropped before rolling up.  An empty set of conditions always rolls up to unknown, since we can't affirm anything about nothing.
+ */
+class ConditionRollup {
+
+	#policy;
+	#thresholds;
+	#ignore_unknown;
+
+	/**
+	 * Creates a new ConditionRollup
+	 * @param {object} [obj={}] - Configuration object for the rollup.
+	 * @param {string} [obj.policy='worst'] - The rollup policy, one of 'worst' or 'threshold'.
+	 * @param {object} [obj.thresholds={}] - For the 'threshold' policy, a map of condition → percentage (0-100), e.g. `{ red: 5, yellow: 10 }`.
+	 * @param {boolean} [obj.ignore_unknown=false] - If true, unknown conditions are ignored.
+	 * @throws {Error} If the policy or thresholds are invalid.
+	 */
+	constructor(obj = {}) {
+
+		this.#policy = obj.policy || 'worst';
+		if (!POLICIES.includes(this.#policy)) { throw new Error(`Invalid rollup policy '${this.#policy}'. Valid policies are: ${POLICIES.join(', ')}`); }
+
+		this.#thresholds = obj.thresholds || {};
+		if (typeof this.#thresholds !== 'object' || Array.isArray(this.#thresholds)) { throw new Error("Rollup thresholds must be an object mapping conditions to percentages."); }
+		for (let [condition, percent] of Object.entries(this.#thresholds)) {
+			if (condition === 'green' || !ElementCondition.validate_condition(condition)) { throw new Error(`Invalid rollup threshold condition '${condition}'. Valid conditions are: unknown, yellow, red`); }
+			if (typeof percent !== 'number' || percent < 0 || percent > 100) { throw new Error(`Rollup threshold for '${condition}' must be a number between 0 and 100.`); }
+		}
+		if (this.#policy === 'threshold' && Object.keys(this.#thresholds).length === 0) { throw new Error("The 'threshold' rollup policy requires at least one threshold."); }
+
+		this.#ignore_unknown = (obj.ignore_unknown === true);
+	}
+
+	/**
+	 * Schema for rollup config (see ConfigSchema)
+	 * @returns {object} A schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			type: 'object',
+			properties: {
+				policy: { type: 'string', enum: POLICIES },
+				thresholds: { type: 'object', values: { type: 'number' } },
+				ignore_unknown: { type: 'boolean' }
+			},
+			validate: (value) => { try { new ConditionRollup(value); } catch (e) { return e.message; } }
+		};
+	}
+
+	get policy() { return this.#policy; }
+	get thresholds() { return { ...this.#thresholds }; }
+	get ignore_unknown() { return this.#ignore_unknown; }
+
+	/**
+	 * Compare two condition strings by severity
+	 * @param {string} a - The first condition.
+	 * @param {string} b - The second condition.
+	 * @returns {number} A negative number if a is less severe than b, zero if equal, and a positive number if a is more severe.
+	 * @static
+	 */
+	static compare_severity(a, b) {
+		return SEVERITY.indexOf(a) - SEVERITY.indexOf(b);
+	}
+
+	/**
+	 * Count conditions and trends
+	 * 
+	 * @param {ElementCondition[]} conditions - The conditions to count.
+	 * @returns {{count: number, conditions: object, trends: object, percentages: {conditions: object, trends: object}}} Counts and percentages (0-100, one decimal place) keyed by condition and by trend.
+	 * @static
+	 */
+	static tally(conditions) {
+
+		const empty = () => Object.fromEntries(SEVERITY.map(c => [c, 0]));
+		const percent = (n) => conditions.length ? Math.round(n * 1000 / conditions.length) / 10 : 0;
+
+		let result = { count: conditions.length, conditions: empty(), trends: empty() };
+		for (let c of conditions) {
+			result.conditions[c.condition]++;
+			result.trends[c.trend]++;
+		}
+
+		result.percentages = {
+			conditions: Object.fromEntries(Object.entries(result.conditions).map(([k, v]) => [k, percent(v)])),
+			trends: Object.fromEntries(Object.entries(result.trends).map(([k, v]) => [k, percent(v)]))
+		};
+
+		return result;
+	}
+
+	/**
+	 * Roll up a set of conditions into one
+	 *
+	 * The resulting message states the share of green conditions, e.g. "95% green (19 of 20)".
+	 * The resulting trend is the worst known trend; unknown trends are always ignored.
+	 *
+	 * @param {ElementCondition[]} conditions - The conditions to roll up.
+	 * @returns {ElementCondition} The rolled up condition.
+	 */
+	rollup(conditions) {
+
+		if (!Array.isArray(conditions)) { throw new Error("Conditions must be an array of ElementCondition instances."); }
+
+		let population = conditions.filter(c => !(this.#ignore_unknown && c.condition === 'unknown'));
+		if (population.length === 0) { return new ElementCondition('unknown', 'unknown', 'no conditions'); }
+
+		const condition = this.#roll(population.map(c => c.condition));
+		const trends = population.map(c => c.trend).filter(t => t !== 'unknown');
+		const trend = (trends.length === 0) ? 'unknown' : trends.reduce((worst, t) => ConditionRollup.compare_severity(t, worst) > 0 ? t : worst);
+
+		const green = population.filter(c => c.condition === 'green').length;
+		const percent = Math.floor(green * 100 / population.length);
+
+		return new ElementCondition(condition, trend, `${percent}% green (${green} of ${population.length})`);
+	}
+
+	/**
+	 * Apply the policy to an array of condition strings
+	 *
+	 * @private
+	 * @param {string[]} values - A non-empty array of condition strings.
+	 * @returns {string} The resulting condition.
+	 */
+	#roll(values) {
+
+		switch (this.#policy) {
+
+			case 'worst':
+				return values.reduce((worst, v) => ConditionRollup.compare_severity(v, worst) > 0 ? v : worst, 'green');
+
+			case 'threshold':
+				// Check from most to least severe; a condition is counted along with everything more severe than it
+				for (let i = SEVERITY.length - 1; i > 0; i--) {
+					const condition = SEVERITY[i];
+					if (!(condition in this.#thresholds)) continue;
+
+					const count = values.filter(v => SEVERITY.indexOf(v) >= i).length;
+					if (count * 100 / values.length > this.#thresholds[condition]) { return condition; }
+				}
+				return (values.filter(v => v === 'green').length > values.filter(v => v === 'unknown').length) ? 'green' : 'unknown';
+
+			default:
+				throw new Error(`Invalid rollup policy '${this.#policy}'.`);
+		}
+	}
+}
+
+module.exports = ConditionRollup;
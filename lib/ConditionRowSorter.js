@@ -29,7 +29,7 @@ class ConditionRowSorter extends RowSorter {
         if (!(element instanceof Element)) { throw new Error("ConditionRowSorter.sort() requires an Element instance as the first argument."); }
 
         // Get the condition of the element
-        const condition = element.condition;
+        const condition = element.effective_condition;
         if(!(condition instanceof ElementCondition)) { throw new Error(`Element ${element.id} does not have a valid condition.`); }
 
         // Determine the row based on the condition
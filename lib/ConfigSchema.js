@@ -0,0 +1,119 @@
+const TYPES = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+
+/**
+ * @class ConfigSchema
+ * @description Validates configuration objects (e.g. board.conf) against simple schemas, collecting every problem with its JSON path.
+ *
+ * A schema node is an object with any of:
+ * - `type` - one of 'string', 'number', 'boolean', 'object', 'array' or 'any'
+ * - `required` - true if the value must be present
+ * - `enum` - an array of allowed values
+ * - `properties` - for objects, a map of key → schema node.  Keys that are not listed are reported unless `additional` is true.
+ * - `values` - for objects used as maps, the schema node for every value
+ * - `items` - for arrays, the schema node for every item
+ * - `class_of` - for objects that name their own class in a `class` key (e.g. segment and element configs), the base class that the named class must be or inherit from.  The properties are then taken from that class's static `config_schema`, so custom classes can contribute their own schema fragments.  Use `default_class` for the class name to assume when there is no `class` key.
+ * - `class_name` - for strings that name a class, the base class that the named class must be or inherit from
+ * - `validate` - a function(value) that returns a problem description, or nothing if the value is fine
+ */
+class ConfigSchema {
+
+	/**
+	 * Validate a value against a schema node
+	 *
+	 * @param {*} value - The value to validate.
+	 * @param {object} node - The schema node.
+	 * @param {object} [classes={}] - Classes that `class_of` and `class_name` may refer to, keyed by name.
+	 * @param {string} [path=''] - The JSON path of the value, used in problem descriptions.
+	 * @returns {string[]} Every problem found, e.g. "segments[0].boundary.type missing".  Empty if the value is valid.
+	 * @static
+	 */
+	static validate(value, node, classes = {}, path = '') {
+		let errors = [];
+		ConfigSchema.#validate(value, node, classes, path, errors);
+		return errors;
+	}
+
+	/**
+	 * Check that a class is (or inherits from) a base class
+	 * @param {Function} Class - The class to check.
+	 * @param {Function} Base - The base class.
+	 * @returns {boolean} True if Class is Base or a subclass of it.
+	 * @static
+	 */
+	static is_a(Class, Base) {
+		return typeof Class === 'function' && (Class === Base || Class.prototype instanceof Base);
+	}
+
+	/**
+	 * Join a JSON path and a key
+	 * @private
+	 */
+	static #join(path, key) {
+		return path ? `${path}.${key}` : key;
+	}
+
+	/**
+	 * Validate recursively, pushing problems onto errors
+	 * @private
+	 */
+	static #validate(value, node, classes, path, errors) {
+
+		const where = path || 'config';
+
+		if (value === undefined) {
+			if (node.required) { errors.push(`${where} missing`); }
+			return;
+		}
+
+		// Type
+		if (node.type && !TYPES.includes(node.type)) { throw new Error(`Invalid schema type '${node.type}' at ${where}.`); }
+		const type = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+		if (node.type && node.type !== 'any' && type !== node.type) {
+			errors.push(`${where} must be ${node.type === 'array' || node.type === 'object' ? 'an' : 'a'} ${node.type}`);
+			return;
+		}
+		if (node.enum && !node.enum.includes(value)) { errors.push(`${where} must be one of ${node.enum.join(', ')}`); }
+
+		// Strings naming classes
+		if (node.class_name) {
+			const Class = classes[value];
+			if (!Class) { errors.push(`${where} '${value}' not registered`); }
+			else if (!ConfigSchema.is_a(Class, node.class_name)) { errors.push(`${where} '${value}' does not inherit from ${node.class_name.name}`); }
+		}
+
+		// Objects that name their own class
+		let properties = node.properties;
+		if (node.class_of) {
+			const name = value.class ?? node.default_class;
+			const Class = classes[name];
+			if (typeof name !== 'string') { errors.push(`${ConfigSchema.#join(path, 'class')} must be a string`); return; }
+			if (!Class) { errors.push(`${ConfigSchema.#join(path, 'class')} '${name}' not registered`); return; }
+			if (!ConfigSchema.is_a(Class, node.class_of)) { errors.push(`${ConfigSchema.#join(path, 'class')} '${name}' does not inherit from ${node.class_of.name}`); return; }
+			properties = Class.config_schema || {};
+		}
+
+		if (properties) {
+			for (let [key, child] of Object.entries(properties)) { ConfigSchema.#validate(value[key], child, classes, ConfigSchema.#join(path, key), errors); }
+			if (!node.additional) {
+				for (let key of Object.keys(value)) {
+					if (!(key in properties)) { errors.push(`${ConfigSchema.#join(path, key)} unknown key`); }
+				}
+			}
+		}
+
+		if (node.values) {
+			for (let [key, child] of Object.entries(value)) { ConfigSchema.#validate(child, node.values, classes, ConfigSchema.#join(path, key), errors); }
+		}
+
+		if (node.items) {
+			value.forEach((item, i) => ConfigSchema.#validate(item, node.items, classes, `${path}[${i}]`, errors));
+		}
+
+		if (node.validate) {
+			const problem = node.validate(value);
+			if (problem) { errors.push(`${where}: ${problem}`); }
+		}
+	}
+}
+
+module.exports = ConfigSchema;
@@ -1,6 +1,8 @@
 const EventEmitter = require('node:events').EventEmitter;
 const Asset = require('../lib/Asset.js');
 const ElementCondition = require('../lib/ElementCondition.js');
+const Scheduler = require('./Scheduler');
+const TrendForecaster = require('./TrendForecaster');
 
 /**
  * @event paired
@@ -36,6 +38,17 @@ class Element extends EventEmitter {
     #asset_class_matcher = "";
     #asset = null; // The asset paired with this element, if any
     #cached_summary;
+    #stale_as_unknown = true;
+    #stale_listeners = []; // [notion, listener] pairs we have attached to the paired asset
+    #scheduler = null; // Set by the board; Scheduler.shared if not
+    #reevaluate_job = null; // Scheduler job ID for .reevaluate_at()
+    #tick_seconds = null; // Interval for .reevaluate_every()
+    #tick_job = null; // Scheduler job ID for .reevaluate_every()
+    #forecaster = null; // Derives the trend, if configured
+    #forecast = null; // The forecast trend, cached until the next .dirty()
+    #watches = []; // { names, fn, unwatch } from .watch(), attached to the paired asset
+    #unwatch_dependencies = null; // Stops the paired asset's dependency watch
+    #dirty_pending = false; // A .dirty() call is queued for the next tick
 
 
     /**
@@ -43,12 +56,59 @@ class Element extends EventEmitter {
      * @param {Object} [obj={}] - Configuration object for the element.
      * @param {boolean} [obj.static=false] - Whether the element is static (persists without an asset).
      * @param {string|Regex} [obj.asset_class_matcher=/.+/] - A string or regex to match the asset class this element can handle.
+     * @param {boolean} [obj.stale_as_unknown=true] - Whether stale inputs (see .inputs) make the effective condition unknown.
+     * @param {number} [obj.reevaluate_every] - Seconds between re-evaluations while paired, see .reevaluate_every().
+     * @param {object} [obj.trend] - Derive the trend by forecasting the condition, see TrendForecaster, e.g. `{ horizon: 900, window: 600 }`.
      */
     constructor(obj = {}) {
         
         super(); 
         this.#is_static = (obj.static === true)? true : false; 
         this.#asset_class_matcher = obj.asset_class_matcher || /.+/; // Default to matching any asset class
+        this.#stale_as_unknown = (obj.stale_as_unknown !== false);
+        if (obj.trend !== undefined) { this.#forecaster = new TrendForecaster(obj.trend); }
+
+        // Stale inputs change the effective condition, so watch for them going stale
+        this.on('paired', (_, asset) => {
+            for (let name of this.inputs) {
+                const notion = asset.get_notion(name);
+                if (!notion) continue;
+
+                const listener = () => this.dirty();
+                notion.on('stale', listener);
+                this.#stale_listeners.push([notion, listener]);
+            }
+        });
+        this.on('unpaired', () => {
+            for (let [notion, listener] of this.#stale_listeners) { notion.off('stale', listener); }
+            this.#stale_listeners = [];
+        });
+
+        // Re-evaluate when the notions we depend on change, once per tick however many change
+        this.on('paired', (_, asset) => {
+            const names = this.dependencies;
+            if (names.length) { this.#unwatch_dependencies = asset.watch(names, () => this.#dirty_soon()); }
+        });
+        this.on('unpaired', () => {
+            this.#unwatch_dependencies?.();
+            this.#unwatch_dependencies = null;
+        });
+
+        // Watches follow the paired asset
+        this.on('paired', (_, asset) => {
+            for (let watch of this.#watches) { watch.unwatch = asset.watch(watch.names, watch.fn); }
+        });
+        this.on('unpaired', () => {
+            for (let watch of this.#watches) { watch.unwatch?.(); watch.unwatch = null; }
+        });
+
+        // Scheduled re-evaluations only run while paired
+        this.on('paired', () => this.#start_tick());
+        this.on('unpaired', () => {
+            this.#stop_tick();
+            this.reevaluate_at(null);
+        });
+        if (obj.reevaluate_every !== undefined) { this.reevaluate_every(obj.reevaluate_every); }
 
         // Update the summary once the element is constructed
         process.nextTick(() => {
@@ -56,6 +116,22 @@ class Element extends EventEmitter {
         });
     }
 
+    /**
+     * Properties of the element config in board.conf (see ConfigSchema).  Subclasses that take more config should extend this, e.g. `{ ...super.config_schema, foo: { type: 'string' } }`.
+     * @returns {object} A map of key → schema node.
+     * @static
+     */
+    static get config_schema() {
+        return {
+            class: { type: 'string' },
+            static: { type: 'boolean' },
+            asset_class_matcher: { type: 'string' },
+            stale_as_unknown: { type: 'boolean' },
+            reevaluate_every: { type: 'number', validate: (v) => v > 0 ? undefined : 'must be a positive number of seconds' },
+            trend: TrendForecaster.config_schema
+        };
+    }
+
     /**
      * Returns a string representation of the Asset instance.
      * @returns {string} A string representation of the Asset.
@@ -67,6 +143,26 @@ class Element extends EventEmitter {
     get static() { return this.#is_static; }
     get asset() { return this.#asset; }
     get asset_class_matcher() { return this.#asset_class_matcher; }
+    get stale_as_unknown() { return this.#stale_as_unknown; }
+    get trend_forecaster() { return this.#forecaster; }
+
+    /**
+     * The scheduler used for .reevaluate_at() and .reevaluate_every(), and the clock for time-dependent conditions.
+     * @returns {Scheduler} The board's scheduler, or Scheduler.shared if the element was not made by a board.
+     */
+    get scheduler() { return this.#scheduler ?? Scheduler.shared; }
+
+    /**
+     * Use another scheduler.  The board sets this on every element it makes.
+     * @param {Scheduler} scheduler - The scheduler.
+     * @throws {Error} If scheduler is not a Scheduler, or the element is paired.
+     */
+    set scheduler(scheduler) {
+        if (!(scheduler instanceof Scheduler)) { throw new Error("Scheduler must be an instance of Scheduler."); }
+        if (this.#asset) { throw new Error("Can't change the scheduler of a paired element."); }
+        this.reevaluate_at(null);
+        this.#scheduler = scheduler;
+    }
 
     /**
      * Render the element
@@ -84,7 +180,7 @@ class Element extends EventEmitter {
                     static: this.static,
                     asset_type: this?.asset?.constructor.name || null,
                     summary: this.summary,
-                    condition: this.condition.toObject(),
+                    condition: this.effective_condition.toObject(),
                     asset: this.#asset?.toString()|| '',
                 };
             default:
@@ -99,7 +195,62 @@ class Element extends EventEmitter {
     get summary() {
 
         // Override me! 
-        return this.toString();
+        const doubt = this.#doubt();
+        return doubt ? `${this.toString()}:${doubt}` : this.toString();
+    }
+
+    /**
+     * Names of the paired asset's notions that the condition depends on.
+     * 
+     * Subclasses should override this so that stale and invalid inputs can be detected (see .effective_condition).  The element calls .dirty() when an input changes or goes stale.
+     * @returns {string[]} Notion names, empty in the base class.
+     */
+    get inputs() {
+        return [];
+    }
+
+    /**
+     * Names of the paired asset's notions that the summary and condition depend on.
+     * 
+     * While paired, the element calls .dirty() on the tick after any of them changes, so an ingest that touches several only recomputes the summary once.  This is read on pairing.
+     * Defaults to the inputs; override it to add notions that only the render uses, e.g. `[...super.dependencies, 'name']`.
+     * @returns {string[]} Notion names.
+     */
+    get dependencies() {
+        return this.inputs;
+    }
+
+    /**
+     * Names of the inputs whose notions on the paired asset are stale (see Notion.stale)
+     * @returns {string[]} Notion names, empty if there is no asset.
+     */
+    get stale_inputs() {
+        if (!this.#asset) { return []; }
+        return this.inputs.filter(name => this.#asset.get_notion(name)?.stale);
+    }
+
+    /**
+     * Names of the inputs whose notions on the paired asset hold a value flagged as invalid (see Notion.invalid)
+     * @returns {string[]} Notion names, empty if there is no asset.
+     */
+    get invalid_inputs() {
+        if (!this.#asset) { return []; }
+        return this.inputs.filter(name => this.#asset.get_notion(name)?.invalid);
+    }
+
+    /**
+     * Why the inputs can't be trusted, if they can't
+     * @private
+     * @returns {string|null} e.g. "soc invalid, heartbeat stale", or null if the inputs are fine.
+     */
+    #doubt() {
+
+        let reasons = [];
+        const invalid = this.invalid_inputs;
+        const stale = this.#stale_as_unknown ? this.stale_inputs : [];
+        if (invalid.length) { reasons.push(`${invalid.join(', ')} invalid`); }
+        if (stale.length) { reasons.push(`${stale.join(', ')} stale`); }
+        return reasons.length ? reasons.join(', ') : null;
     }
 
     /**
@@ -111,16 +262,49 @@ class Element extends EventEmitter {
         return new ElementCondition("green", "unknown");
     }
 
+    /**
+     * Assess the condition of any asset state, not just the paired asset as it is now.
+     * 
+     * Elements that can do this should override it, with .condition returning `this.assess(this.asset, this.scheduler.now())`.  It lets a TrendForecaster assess a projected state.
+     * @param {{id: string, p: function(string): *, get_notion: function(string): {value: *, timestamp: Date}|undefined}} asset - The asset, or an asset-like view of a projected state.
+     * @param {number} now - The time to assess at, in milliseconds since the epoch.
+     * @returns {ElementCondition|null} The condition, or null in the base class, which can't assess anything but itself.
+     */
+    assess(asset, now) {
+        return null;
+    }
+
+    /**
+     * The condition as shown on the board, i.e. .condition unless some inputs are stale or invalid.
+     * 
+     * Conditions are affirmative, so stale or invalid data can't read green: with such inputs this is unknown (stale ones only unless stale_as_unknown is false).
+     * With `trend` configured, an unknown trend is filled in by forecasting the condition (see TrendForecaster).  The forecast is kept until the next .dirty(), since it reads the history of every input.
+     * @returns {ElementCondition} The effective condition for this element.
+     */
+    get effective_condition() {
+
+        const doubt = this.#doubt();
+        if (doubt) { return new ElementCondition('unknown', 'unknown', doubt); }
+
+        const condition = this.condition;
+        if (this.#forecaster && this.#asset && condition.trend === 'unknown') {
+            this.#forecast ??= this.#forecaster.forecast(this);
+            condition.trend = this.#forecast;
+        }
+        return condition;
+    }
+
     /**
      * The element may be 'dirty', meaning the render may have changed.
      * 
      * Call this method any time any time something changes that may affect the render of this element, e.g. when an asset's internal state changes.
-     * This is automatically called on pairing and unpairing assets, but you may need to call it manually in other cases.
+     * This is automatically called on pairing and unpairing assets and when .dependencies change, but you may need to call it manually in other cases.
      * 
      * @emits change when the summary (hence render) changes.
      */
     dirty() {
 
+        this.#forecast = null;
         if( this.#cached_summary !== this.summary) {
             this.#cached_summary = this.summary;
             this.emit('change', this);
@@ -128,6 +312,97 @@ class Element extends EventEmitter {
     }
 
 
+    /**
+     * Call .dirty() on the next tick, once however many times this is called before then
+     * 
+     * This goes through the scheduler (see Scheduler.defer()), so that a board can settle it at the end of a batch.
+     * @private
+     */
+    #dirty_soon() {
+
+        if (this.#dirty_pending) { return; }
+        this.#dirty_pending = true;
+        this.scheduler.defer(() => {
+            this.#dirty_pending = false;
+            this.dirty();
+        });
+    }
+
+    /**
+     * Call a function when any of the given notions of the paired asset change, see Asset.watch()
+     * 
+     * The watch lasts for the life of the element: it moves to each asset the element is paired with, and is removed from the asset on unpairing, so there is nothing to clean up.
+     * 
+     * @param {string|string[]} names - The notion names.
+     * @param {function(object): void} fn - The function, which gets the asset's changed event narrowed down to these notions.
+     * @returns {function(): void} A function that stops watching.
+     * @throws {Error} If the names or function are invalid.
+     */
+    watch(names, fn) {
+
+        names = [names].flat();
+        if (names.some(n => typeof n !== 'string')) { throw new Error("Watched notion names must be strings."); }
+        if (typeof fn !== 'function') { throw new Error("Watch callback must be a function."); }
+
+        let watch = { names, fn, unwatch: this.#asset ? this.#asset.watch(names, fn) : null };
+        this.#watches.push(watch);
+        return () => {
+            watch.unwatch?.();
+            this.#watches = this.#watches.filter(w => w !== watch);
+        };
+    }
+
+    /**
+     * Call .dirty() at a given time, e.g. when a heartbeat will become too old.
+     * 
+     * Conditions that change with time alone never flip by themselves, because nothing calls .dirty(); use this to ask for a re-evaluation when one is due.
+     * There is one such request per element: each call replaces the last.  It is cancelled when the element is unpaired.
+     * 
+     * @param {Date|number|null} time - When to re-evaluate, as a Date or milliseconds since the epoch, or null to cancel.
+     */
+    reevaluate_at(time) {
+
+        if (this.#reevaluate_job !== null) { this.scheduler.cancel(this.#reevaluate_job); }
+        this.#reevaluate_job = null;
+        if (time === null) { return; }
+
+        this.#reevaluate_job = this.scheduler.at(time, () => {
+            this.#reevaluate_job = null;
+            this.dirty();
+        });
+    }
+
+    /**
+     * Call .dirty() periodically while paired
+     * 
+     * @param {number|null} seconds - The interval, or null to stop.
+     * @throws {Error} If seconds is not a positive number or null.
+     */
+    reevaluate_every(seconds) {
+
+        if (seconds !== null && (typeof seconds !== 'number' || !(seconds > 0))) { throw new Error("reevaluate_every must be a positive number of seconds, or null."); }
+        this.#stop_tick();
+        this.#tick_seconds = seconds;
+        if (this.#asset) { this.#start_tick(); }
+    }
+
+    /**
+     * Start the periodic re-evaluation, if any
+     * @private
+     */
+    #start_tick() {
+        if (this.#tick_seconds !== null && this.#tick_job === null) { this.#tick_job = this.scheduler.every(this.#tick_seconds, () => this.dirty()); }
+    }
+
+    /**
+     * Stop the periodic re-evaluation
+     * @private
+     */
+    #stop_tick() {
+        if (this.#tick_job !== null) { this.scheduler.cancel(this.#tick_job); }
+        this.#tick_job = null;
+    }
+
     /**
      * Pair with an asset
      * 
@@ -148,6 +423,7 @@ class Element extends EventEmitter {
 
         if(!test) {
             this.#asset = asset;
+            this.#forecast = null;
             this.emit('paired', this, asset); 
             this.dirty();
         }
@@ -164,6 +440,7 @@ class Element extends EventEmitter {
         if (!this.#asset) { throw new Error("No asset to unpair."); }
         let asset = this.#asset;
         this.#asset = null;
+        this.#forecast = null;
         this.emit('unpaired', this, asset);
         this.dirty();
     }
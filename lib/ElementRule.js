@@ -0,0 +1,215 @@
+const Asset = require('./Asset');
+const Element = require('./Element');
+const objectpath = require('object-path');
+
+const SELECTORS = ['asset', 'asset_match', 'asset_inherits', 'when'];
+const TESTS = ['equals', 'one_of', 'minimum', 'maximum', 'match'];
+
+/**
+ * @class ElementRule
+ * @description One rule of the board's `asset_to_element` config, deciding which Element class represents an asset.
+ *
+ * A rule names the `element` class to create, optional `params` for its constructor, and any of these selectors, all of which must match:
+ * - `asset` - the asset class name, exactly
+ * - `asset_match` - a regular expression that the asset class name must match, e.g. `"^Bot"`
+ * - `asset_inherits` - the name of a registered Asset class that the asset must be an instance of (including subclasses)
+ * - `when` - notion predicates keyed by notion name, e.g. `{ "version.daxos": { "minimum": 5 } }`.  A dotted name that isn't a notion reaches into the value of the notion named by its first part.  Each predicate may use `equals`, `one_of`, `minimum`, `maximum` and `match` (a regular expression); a bare value is short for `equals`.
+ *
+ * `minimum` and `maximum` compare numbers, or dotted version strings part by part (so "5.12.0" is at least 5).  A rule without selectors matches every asset.
+ */
+class ElementRule {
+
+	#element;
+	#params;
+	#asset;
+	#asset_match;
+	#asset_inherits;
+	#when = [];
+
+	/**
+	 * Creates a new ElementRule
+	 * @param {object} obj - The rule from the config.
+	 * @param {string} obj.element - The name of the element class to create.
+	 * @param {object} [obj.params={}] - Parameters passed to the element constructor.
+	 * @param {object} [classes={}] - Classes known to the board, used to resolve `asset_inherits`.
+	 * @throws {Error} If the rule is invalid.
+	 */
+	constructor(obj, classes = {}) {
+
+		const legacy = "Asset to element mapping must be an array of objects with 'asset' and 'element' properties as strings.";
+		if (!obj || typeof obj !== 'object' || typeof obj.element !== 'string') { throw new Error(legacy); }
+		if (obj.asset !== undefined && typeof obj.asset !== 'string') { throw new Error(legacy); }
+
+		for (let key of Object.keys(obj)) {
+			if (!['element', 'params', ...SELECTORS].includes(key)) { throw new Error(`Unknown asset to element rule key '${key}'. Valid keys are: element, params, ${SELECTORS.join(', ')}`); }
+		}
+
+		this.#element = obj.element;
+		this.#asset = obj.asset;
+
+		this.#params = obj.params ?? {};
+		if (typeof this.#params !== 'object' || Array.isArray(this.#params)) { throw new Error("Asset to element rule 'params' must be an object."); }
+
+		if (obj.asset_match !== undefined) {
+			if (typeof obj.asset_match !== 'string') { throw new Error("Asset to element rule 'asset_match' must be a regular expression string."); }
+			try { this.#asset_match = new RegExp(obj.asset_match); }
+			catch (e) { throw new Error(`Asset to element rule 'asset_match' is not a valid regular expression: ${e.message}`); }
+		}
+
+		if (obj.asset_inherits !== undefined) {
+			const AssetClass = classes[obj.asset_inherits];
+			if (typeof AssetClass !== 'function' || !(AssetClass === Asset || AssetClass.prototype instanceof Asset)) { throw new Error(`Asset to element rule 'asset_inherits' must name a registered Asset class, got '${obj.asset_inherits}'.`); }
+			this.#asset_inherits = AssetClass;
+		}
+
+		if (obj.when !== undefined) {
+			if (!obj.when || typeof obj.when !== 'object' || Array.isArray(obj.when)) { throw new Error("Asset to element rule 'when' must be an object keyed by notion name."); }
+			for (let [name, spec] of Object.entries(obj.when)) { this.#when.push(ElementRule.#parse_predicate(name, spec)); }
+		}
+	}
+
+	/**
+	 * Schema for a rule (see ConfigSchema)
+	 * @returns {object} A schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			type: 'object',
+			properties: {
+				element: { type: 'string', required: true, class_name: Element },
+				params: { type: 'object', additional: true },
+				asset: { type: 'string' },
+				asset_match: { type: 'string', validate: (value) => { try { new RegExp(value); } catch (e) { return e.message; } } },
+				asset_inherits: { type: 'string', class_name: Asset },
+				when: {
+					type: 'object',
+					validate: (value) => {
+						try { for (let [name, spec] of Object.entries(value)) { ElementRule.#parse_predicate(name, spec); } }
+						catch (e) { return e.message; }
+					}
+				}
+			}
+		};
+	}
+
+	get element() { return this.#element; }
+	get params() { return { ...this.#params }; }
+
+	/**
+	 * Parse and validate a notion predicate
+	 *
+	 * @private
+	 * @param {string} name - The notion name (possibly dotted).
+	 * @param {*} spec - The predicate, or a bare value to compare for equality.
+	 * @returns {object} The normalized predicate.
+	 * @throws {Error} If the predicate is invalid.
+	 */
+	static #parse_predicate(name, spec) {
+
+		if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) { return { name, equals: spec }; }
+
+		let predicate = { name };
+		for (let [key, value] of Object.entries(spec)) {
+			if (!TESTS.includes(key)) { throw new Error(`Unknown predicate '${key}' for '${name}'. Valid predicates are: ${TESTS.join(', ')}`); }
+			if (key === 'one_of' && !Array.isArray(value)) { throw new Error(`Predicate 'one_of' for '${name}' must be an array.`); }
+			if (key === 'match') {
+				try { value = new RegExp(value); }
+				catch (e) { throw new Error(`Predicate 'match' for '${name}' is not a valid regular expression: ${e.message}`); }
+			}
+			predicate[key] = value;
+		}
+		return predicate;
+	}
+
+	/**
+	 * Compare two values as numbers, or as dotted version strings
+	 *
+	 * @private
+	 * @param {*} a - The first value.
+	 * @param {*} b - The second value.
+	 * @returns {number|null} Negative, zero or positive like a sort comparator, or null if the values can't be compared.
+	 */
+	static #compare(a, b) {
+
+		const number = (v) => (typeof v === 'string' && v.trim() === '') ? NaN : Number(v);
+		if (!isNaN(number(a)) && !isNaN(number(b))) { return number(a) - number(b); }
+
+		const parts = (v) => String(v).split('.').map(number);
+		const pa = parts(a), pb = parts(b);
+		if (pa.some(isNaN) || pb.some(isNaN)) { return null; }
+
+		for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+			const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+			if (diff !== 0) { return diff; }
+		}
+		return 0;
+	}
+
+	/**
+	 * Read a possibly dotted notion name from an asset
+	 *
+	 * @private
+	 * @param {Asset} asset - The asset.
+	 * @param {string} name - The notion name.
+	 * @returns {*} The value, or undefined if there is none.
+	 */
+	static #read(asset, name) {
+
+		if (asset.get_notion(name)) { return asset.p(name); }
+
+		const dot = name.indexOf('.');
+		if (dot === -1) { return undefined; }
+
+		const value = asset.p(name.slice(0, dot));
+		return (value && typeof value === 'object') ? objectpath.get(value, name.slice(dot + 1)) : undefined;
+	}
+
+	/**
+	 * Explain why the rule does not match an asset
+	 *
+	 * @param {Asset} asset - The asset.
+	 * @returns {string|null} The reason, or null if the rule matches.
+	 */
+	explain(asset) {
+
+		const classname = asset.constructor.name;
+		if (this.#asset !== undefined && classname !== this.#asset) { return `class '${classname}' is not '${this.#asset}'`; }
+		if (this.#asset_match && !this.#asset_match.test(classname)) { return `class '${classname}' does not match /${this.#asset_match.source}/`; }
+		if (this.#asset_inherits && !(asset instanceof this.#asset_inherits)) { return `class '${classname}' does not inherit from '${this.#asset_inherits.name}'`; }
+
+		for (let p of this.#when) {
+			const value = ElementRule.#read(asset, p.name);
+			const fail = (test) => `${p.name} is ${JSON.stringify(value)}, ${test}`;
+
+			if (value === undefined || value === null) { return `${p.name} has no value`; }
+			if ('equals' in p && String(value) !== String(p.equals)) { return fail(`not ${JSON.stringify(p.equals)}`); }
+			if ('one_of' in p && !p.one_of.some(v => String(v) === String(value))) { return fail(`not one of ${p.one_of.join(', ')}`); }
+			if ('minimum' in p && !(ElementRule.#compare(value, p.minimum) >= 0)) { return fail(`not at least ${p.minimum}`); }
+			if ('maximum' in p && !(ElementRule.#compare(value, p.maximum) <= 0)) { return fail(`not at most ${p.maximum}`); }
+			if ('match' in p && !p.match.test(String(value))) { return fail(`does not match /${p.match.source}/`); }
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether the rule matches an asset
+	 * @param {Asset} asset - The asset.
+	 * @returns {boolean} True if the rule matches.
+	 */
+	matches(asset) {
+		return this.explain(asset) === null;
+	}
+
+	toString() {
+		const selectors = [];
+		if (this.#asset !== undefined) { selectors.push(`asset '${this.#asset}'`); }
+		if (this.#asset_match) { selectors.push(`asset_match /${this.#asset_match.source}/`); }
+		if (this.#asset_inherits) { selectors.push(`asset_inherits '${this.#asset_inherits.name}'`); }
+		if (this.#when.length > 0) { selectors.push(`when ${this.#when.map(p => p.name).join(', ')}`); }
+		return `${selectors.join(', ') || 'any asset'} → ${this.#element}`;
+	}
+}
+
+module.exports = ElementRule;
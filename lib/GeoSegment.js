@@ -23,6 +23,26 @@ class GeoSegment extends Segment {
     this.#boundary = obj.boundary;
   }
 
+  /**
+   * Adds the GeoJSON `boundary` to the Segment config schema
+   * @returns {object} A map of key → schema node.
+   * @static
+   */
+  static get config_schema() {
+    return {
+      ...super.config_schema,
+      boundary: {
+        type: 'object',
+        required: true,
+        additional: true,
+        properties: {
+          type: { type: 'string', required: true },
+          coordinates: { type: 'array' }
+        }
+      }
+    };
+  }
+
   /**
    * Gets the GeoJSON boundary of the segment.
    * @returns {object} The GeoJSON boundary object.
@@ -32,24 +52,11 @@ class GeoSegment extends Segment {
   }
 
   /**
-   * Adds an asset to the segment if its position is within the boundary.
-   * @param {Asset} asset - The asset to add.
-   * @returns {boolean} True if the asset was added (position is valid and within boundary), false otherwise.
-   * @throws {Error} If asset is not an instance of Asset or has an invalid ID.
+   * Accepts an asset if its position is within the boundary.
+   * @param {Asset} asset - The asset to check.
+   * @returns {boolean} True if the asset has a valid position within the boundary, false otherwise.
    */
-  add_asset(asset) {
-    // if (!(asset instanceof Asset)) {
-    //   throw new Error('Only instances of Asset can be added.');
-    // }
-    // if (!asset.id || typeof asset.id !== 'string') {
-    //   throw new Error('Asset ID must be a non-empty string.');
-    // }
-
-    // Check if the asset already exists
-    // const existing = this.find_by_id(asset.id);
-    // if (existing) {
-    //   throw new Error(`Asset with ID ${asset.id} already exists.`);
-    // }
+  accepts(asset) {
 
     // Check if asset has a valid position
     const position = asset.position;
@@ -64,14 +71,16 @@ class GeoSegment extends Segment {
     };
 
     // Check if the point is within the boundary using geojson-utils
-    const is_within_boundary = gju.pointInPolygon(point, this.#boundary);
-
-    if (!is_within_boundary) {
-      return false; // Position outside boundary
-    }
+    return gju.pointInPolygon(point, this.#boundary);
+  }
 
-    // Add the asset to the list
-	return super.add_asset(asset);
+  /**
+   * Membership depends on the asset position.
+   * @param {Asset} asset - The asset in question.
+   * @returns {string[]} The notions that feed the asset position, or all notions if the asset doesn't say.
+   */
+  membership_notions(asset) {
+    return asset.position_notions ?? asset.notion_names;
   }
 }
 
@@ -0,0 +1,105 @@
+/**
+ * @class ManualClock
+ * @description A clock for Scheduler (and anything else that takes one) that only moves when told to, so that tests can advance time deterministically.
+ *
+ * ```
+ * const clock = new ManualClock(new Date('2025-01-01T00:00:00Z'));
+ * const board = new Board(config, {}, { clock });
+ * clock.advance(120 * 1000); // Runs every timer that falls due, in order
+ * ```
+ */
+class ManualClock {
+
+	#now;
+	#timers = []; // { id, time, fn }
+	#next_id = 1;
+
+	/**
+	 * Creates a new ManualClock
+	 * @param {Date|number} [start=0] - The starting time, as a Date or milliseconds since the epoch.
+	 * @throws {Error} If the start time is invalid.
+	 */
+	constructor(start = 0) {
+		this.#now = ManualClock.#to_ms(start);
+	}
+
+	/**
+	 * Convert a Date or number to milliseconds since the epoch
+	 * @private
+	 */
+	static #to_ms(time) {
+		const ms = (time instanceof Date) ? time.getTime() : time;
+		if (typeof ms !== 'number' || isNaN(ms)) { throw new Error("ManualClock time must be a Date or a number of milliseconds since the epoch."); }
+		return ms;
+	}
+
+	/**
+	 * The number of timers that have not run yet
+	 * @returns {number} The count.
+	 */
+	get pending() { return this.#timers.length; }
+
+	/**
+	 * The current time
+	 * @returns {number} Milliseconds since the epoch.
+	 */
+	now() {
+		return this.#now;
+	}
+
+	/**
+	 * Call a function once the clock has been advanced by ms milliseconds
+	 * @param {function(): void} fn - The function.
+	 * @param {number} ms - The delay.
+	 * @returns {number} A handle for .clear_timeout().
+	 */
+	set_timeout(fn, ms) {
+		const timer = { id: this.#next_id++, time: this.#now + Math.max(0, ms || 0), fn };
+		this.#timers.push(timer);
+		return timer.id;
+	}
+
+	/**
+	 * Cancel a timer
+	 * @param {number} id - A handle from .set_timeout().
+	 */
+	clear_timeout(id) {
+		this.#timers = this.#timers.filter(t => t.id !== id);
+	}
+
+	/**
+	 * Move time forward, running every timer that falls due on the way
+	 *
+	 * Timers run in time order (then in the order they were set), with .now() set to each timer's due time while it runs.  Timers set by timers also run if they fall due before the target time.
+	 * @param {number} ms - How far to move, in milliseconds.
+	 * @throws {Error} If ms is negative or not a number.
+	 */
+	advance(ms) {
+
+		if (typeof ms !== 'number' || !(ms >= 0)) { throw new Error("ManualClock can only advance by a non-negative number of milliseconds."); }
+		const target = this.#now + ms;
+
+		for (;;) {
+			const next = this.#timers.reduce((soonest, t) => (t.time <= target && (!soonest || t.time < soonest.time || (t.time === soonest.time && t.id < soonest.id))) ? t : soonest, null);
+			if (!next) break;
+
+			this.#timers = this.#timers.filter(t => t !== next);
+			this.#now = Math.max(this.#now, next.time);
+			next.fn();
+		}
+		this.#now = target;
+	}
+
+	/**
+	 * Move time forward to a given time, see .advance()
+	 * @param {Date|number} time - The new time.
+	 * @throws {Error} If the time is invalid or in the past.
+	 */
+	set(time) {
+		const ms = ManualClock.#to_ms(time);
+		if (ms < this.#now) { throw new Error("ManualClock can't go back in time."); }
+		this.advance(ms - this.#now);
+	}
+}
+
+module.exports = ManualClock;
@@ -1,5 +1,9 @@
 EventEmitter = require('events').EventEmitter;
 const dayjs = require('dayjs');
+const NotionType = require('./NotionType');
+const Scheduler = require('./Scheduler');
+
+const ORDERINGS = ['last_write', 'newest', 'reject'];
 
 /**
  * Emitted when the value changes.
@@ -10,9 +14,53 @@ const dayjs = require('dayjs');
  * @property {*} new_value - The new value of the property.
  */
 
+/**
+ * Emitted when the notion ages out, i.e. `max_age` seconds pass without a fresh value.  This fires from a timer, so it doesn't wait for the next write.
+ * @event Notion#stale
+ * @type {object}
+ * @property {string} property - The name of the stale property.
+ * @property {Date} timestamp - The timestamp of the last update.
+ * @property {number} max_age - The maximum age in seconds.
+ */
+
+/**
+ * Emitted when a value doesn't fit the notion's type (see NotionType).
+ * @event Notion#invalid
+ * @type {object}
+ * @property {string} property - The name of the property.
+ * @property {*} value - The value as it arrived.
+ * @property {string} problem - What is wrong with it, e.g. "120 is above 100".
+ * @property {Date} timestamp - The timestamp it arrived with.
+ * @property {string} action - 'rejected' if the value was dropped, 'flagged' if it was stored anyway.
+ */
+
+/**
+ * Emitted when a write older than the current value is kept out of the current value by the 'newest' ordering policy (it still goes into the history).
+ * @event Notion#ignored
+ * @type {object}
+ * @property {string} property - The name of the property.
+ * @property {*} value - The value of the write.
+ * @property {Date} timestamp - The timestamp of the write.
+ * @property {Date} current_timestamp - The timestamp of the current value.
+ */
+
+/**
+ * Emitted when a write older than the current value is dropped by the 'reject' ordering policy.
+ * @event Notion#rejected
+ * @type {object}
+ * @property {string} property - The name of the property.
+ * @property {*} value - The value of the write.
+ * @property {Date} timestamp - The timestamp of the write.
+ * @property {Date} current_timestamp - The timestamp of the current value.
+ */
+
 /**
  * Represents a Notion, which is a key-value pair with a timestamp.
  * @fires Notion#changed
+ * @fires Notion#stale
+ * @fires Notion#invalid
+ * @fires Notion#ignored
+ * @fires Notion#rejected
  */
 class Notion extends EventEmitter {
 
@@ -21,6 +69,13 @@ class Notion extends EventEmitter {
     #timestamp;
     #default_value;
     #setter_mapping;
+    #max_age = null;
+    #scheduler = null; // Set by the asset's board; Scheduler.shared if not
+    #stale_job = null; // [scheduler, job ID] of the job that emits 'stale'
+    #type = null; // NotionType, if declared
+    #invalid = null; // What is wrong with the current value, if it was flagged
+    #ordering = 'last_write'; // What to do with writes older than the current value
+    #history = null; // { size, max_age, entries: [{ value, timestamp }] } oldest first, while keeping history
 
     /**
      * Creates a new Notion instance.
@@ -29,9 +84,15 @@ class Notion extends EventEmitter {
      * @param {object} [setter_mapping] - Optional mapping for setter. Will cause .set_value() to set value and timestamp using specific keys instead of the raw values passed to it.
      * @param {string} [setter_mapping.value] - The key to use to find the value when set with an object.
      * @param {string} [setter_mapping.timestamp] - The key to use to find the timestamp when set with an object.
-     * @throws {Error} If setter_mapping is provided but not an object or is missing the required keys.
+     * @param {object} [options={}] - Further options.
+     * @param {number} [options.max_age] - Seconds after which the value is considered stale, see .stale.  Unset means the value never goes stale.
+     * @param {object} [options.history] - Keep a history of values, see .keep_history().
+     * @param {string|object|NotionType} [options.type] - The type of the value, e.g. 'number' or `{ type: 'number', minimum: 0, maximum: 100 }`, see NotionType.
+     * @param {string} [options.ordering='last_write'] - What to do with writes older than the current value, see .ordering.
+     * @param {Scheduler} [options.scheduler] - The scheduler whose clock decides staleness, see .scheduler.
+     * @throws {Error} If setter_mapping is provided but not an object or is missing the required keys, or if max_age or ordering is invalid.
      */
-    constructor(name, default_value, setter_mapping) {
+    constructor(name, default_value, setter_mapping, options = {}) {
 
         super();
         this.#name = name;
@@ -42,6 +103,12 @@ class Notion extends EventEmitter {
             if (typeof setter_mapping?.timestamp !== 'string') { throw new Error('setter_mapping must have a "timestamp" key of type string'); }
             this.#setter_mapping = setter_mapping;
         }
+
+        this.scheduler = options.scheduler ?? null;
+        this.max_age = options.max_age ?? null;
+        this.type = options.type ?? null;
+        this.ordering = options.ordering ?? 'last_write';
+        if (options.history) { this.keep_history(options.history); }
     }
 
     /**
@@ -70,10 +137,321 @@ class Notion extends EventEmitter {
     }
 
     /**
-     * Convenience setter for set_value()
+     * Returns the scheduler whose clock decides when the value goes stale, and which runs the stale timer.
+     * 
+     * This is the board's scheduler for assets on a board (see Asset.scheduler), so that staleness follows the same clock as elements do.  Otherwise, or once that scheduler has been disposed, it is Scheduler.shared.
+     * @returns {Scheduler} The scheduler.
+     */
+    get scheduler() {
+        return (this.#scheduler && !this.#scheduler.disposed) ? this.#scheduler : Scheduler.shared;
+    }
+
+    /**
+     * Sets the scheduler, restarting the stale timer.
+     * @param {Scheduler|null} scheduler - The scheduler, or null for Scheduler.shared.
+     * @throws {Error} If scheduler is not a Scheduler or null.
+     */
+    set scheduler(scheduler) {
+        if (scheduler !== null && !(scheduler instanceof Scheduler)) { throw new Error("Scheduler must be an instance of Scheduler."); }
+        this.#scheduler = scheduler;
+        this.#arm();
+    }
+
+    /**
+     * Returns the maximum age of the value in seconds.
+     * @returns {number|null} The maximum age, or null if the value never goes stale.
+     */
+    get max_age() {
+        return this.#max_age;
+    }
+
+    /**
+     * Sets the maximum age of the value in seconds, restarting the stale timer.
+     * @param {number|null} seconds - The maximum age, or null to never go stale.
+     * @throws {Error} If seconds is not a positive number or null.
+     */
+    set max_age(seconds) {
+        if (seconds !== null && (typeof seconds !== 'number' || !(seconds > 0))) { throw new Error('max_age must be a positive number of seconds, or null.'); }
+        this.#max_age = seconds;
+        this.#arm();
+    }
+
+    /**
+     * Returns the declared type of the value.
+     * @returns {NotionType|null} The type, or null if any value goes.
+     */
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * Declares the type of the value.  Later values are coerced and checked; the current value is left alone.
+     * @param {string|object|NotionType|null} spec - The type, see NotionType.from(), or null for any value.
+     * @throws {Error} If the type is invalid.
+     */
+    set type(spec) {
+        this.#type = (spec === null) ? null : NotionType.from(spec);
+    }
+
+    /**
+     * The valid ordering policies, see .ordering
+     * @returns {string[]} Policy names.
+     * @static
+     */
+    static get orderings() {
+        return [...ORDERINGS];
+    }
+
+    /**
+     * Returns the ordering policy, i.e. what happens to writes with a timestamp older than the current value's:
+     * - 'last_write' - they replace the current value anyway (the default)
+     * - 'newest' - the current value stays, the write still goes into the history (if kept), and `ignored` is emitted
+     * - 'reject' - the write is dropped and `rejected` is emitted
+     * @returns {string} The policy.
+     */
+    get ordering() {
+        return this.#ordering;
+    }
+
+    /**
+     * Sets the ordering policy, see the getter.
+     * @param {string} policy - 'last_write', 'newest' or 'reject'.
+     * @throws {Error} If the policy is invalid.
+     */
+    set ordering(policy) {
+        if (!ORDERINGS.includes(policy)) { throw new Error(`Invalid ordering policy '${policy}'. Valid policies are: ${ORDERINGS.join(', ')}`); }
+        this.#ordering = policy;
+    }
+
+    /**
+     * What is wrong with the current value, if it didn't fit the type and was stored anyway (on_invalid 'flag').
+     * @returns {string|null} The problem, or null if the value is fine.
+     */
+    get invalid() {
+        return this.#invalid;
+    }
+
+    /**
+     * Whether the value is stale, i.e. older than max_age.
+     * 
+     * A value without a timestamp (e.g. a default) can't be shown to be fresh, so it is stale too.  Without max_age, nothing is ever stale.
+     * @returns {boolean} True if the value is stale.
+     */
+    get stale() {
+        if (this.#max_age === null) { return false; }
+        if (!this.#timestamp) { return true; }
+        return this.scheduler.now() - this.#timestamp.getTime() > this.#max_age * 1000;
+    }
+
+    /**
+     * (Re)start the job that emits 'stale' when the value ages out
+     * @private
+     */
+    #arm() {
+
+        if (this.#stale_job) {
+            const [scheduler, id] = this.#stale_job;
+            scheduler.cancel(id);
+        }
+        this.#stale_job = null;
+        if (this.#max_age === null || !this.#timestamp) { return; }
+
+        const scheduler = this.scheduler;
+        const deadline = this.#timestamp.getTime() + this.#max_age * 1000 + 1; // The first moment it is older than max_age
+        if (deadline <= scheduler.now()) { return; } // Already stale
+
+        this.#stale_job = [scheduler, scheduler.at(deadline, () => {
+            this.#stale_job = null;
+            this.emit('stale', { property: this.#name, timestamp: this.#timestamp, max_age: this.#max_age });
+        })];
+    }
+
+    /**
+     * Convert a dayjs, Date, string or (if allowed) number of milliseconds to a Date
+     * @private
+     * @param {dayjs|Date|string|number} timestamp - The timestamp.
+     * @param {boolean} [allow_ms=false] - Whether to accept milliseconds since the epoch.
+     * @returns {Date|null} The date, or null if the type is not supported.
+     * @throws {Error} If a string can't be parsed.
+     */
+    static #to_date(timestamp, allow_ms = false) {
+
+        if (typeof timestamp === 'string') {
+            const parsed = dayjs(timestamp);
+            if (!parsed.isValid()) {
+                throw new Error('Invalid timestamp string.');
+            }
+            return parsed.toDate();
+        } else if (timestamp?.$d instanceof Date) { // Check for dayjs-like object
+            return timestamp.toDate();
+        } else if (timestamp instanceof Date) {
+            return timestamp;
+        } else if (allow_ms && typeof timestamp === 'number' && !isNaN(timestamp)) {
+            return new Date(timestamp);
+        }
+        return null;
+    }
+
+    /**
+     * Start (or stop) keeping a history of values, e.g. to show "soc over the last hour" or to derive a trend.
+     * 
+     * The history is bounded by count and optionally by age: entries older than `max_age` seconds before the newest entry are dropped.
+     * Entries are kept in timestamp order, so late (backfilled) values land in the right place.  The current value is recorded straight away if it has a timestamp.
+     * 
+     * @param {object|null} options - History options, or null to stop keeping history and forget it.
+     * @param {number} [options.size=1000] - The maximum number of entries.
+     * @param {number} [options.max_age] - The maximum age of entries in seconds.
+     * @throws {Error} If the options are invalid.
+     */
+    keep_history(options = {}) {
+
+        if (options === null) { this.#history = null; return; }
+
+        const size = options.size ?? 1000;
+        const max_age = options.max_age ?? null;
+        if (!Number.isInteger(size) || size < 1) { throw new Error('History size must be a positive integer.'); }
+        if (max_age !== null && (typeof max_age !== 'number' || !(max_age > 0))) { throw new Error('History max_age must be a positive number of seconds.'); }
+
+        const entries = this.#history?.entries ?? (this.#timestamp ? [{ value: this.#value, timestamp: this.#timestamp }] : []);
+        this.#history = { size, max_age, entries };
+        this.#trim();
+    }
+
+    /**
+     * The history options
+     * @returns {{size: number, max_age: number|null}|null} The options, or null if no history is kept.
+     */
+    get history_options() {
+        return this.#history ? { size: this.#history.size, max_age: this.#history.max_age } : null;
+    }
+
+    /**
+     * The whole history, oldest first
+     * @returns {Array<{value: *, timestamp: Date}>|null} The entries, or null if no history is kept.
+     */
+    get history() {
+        return this.#history ? this.#history.entries.map(e => ({ ...e })) : null;
+    }
+
+    /**
+     * Record a value in the history, in timestamp order
+     * @private
+     */
+    #record(value, timestamp) {
+
+        const entries = this.#history.entries;
+        let i = entries.length;
+        while (i > 0 && entries[i - 1].timestamp > timestamp) { i--; }
+        entries.splice(i, 0, { value, timestamp });
+        this.#trim();
+    }
+
+    /**
+     * Drop entries beyond the history size and age
+     * @private
+     */
+    #trim() {
+
+        const { size, max_age, entries } = this.#history;
+        if (entries.length > size) { entries.splice(0, entries.length - size); }
+        if (max_age !== null && entries.length) {
+            const oldest = entries[entries.length - 1].timestamp.getTime() - max_age * 1000;
+            const keep = entries.findIndex(e => e.timestamp.getTime() >= oldest);
+            entries.splice(0, keep);
+        }
+    }
+
+    /**
+     * History entries between two times (inclusive)
+     * 
+     * @param {dayjs|Date|string|number} [from] - The earliest time, or unset for the start of the history.
+     * @param {dayjs|Date|string|number} [to] - The latest time, or unset for the end of the history.
+     * @returns {Array<{value: *, timestamp: Date}>} The entries, oldest first.
+     * @throws {Error} If no history is kept or a time is invalid.
+     */
+    range(from, to) {
+
+        if (!this.#history) { throw new Error(`Notion '${this.#name}' does not keep history.`); }
+
+        const bound = (time, fallback) => {
+            if (time === undefined || time === null) { return fallback; }
+            const date = Notion.#to_date(time, true);
+            if (!date) { throw new Error('Invalid history range. Times must be dayjs, Date, string or milliseconds.'); }
+            return date.getTime();
+        };
+        const start = bound(from, -Infinity);
+        const end = bound(to, Infinity);
+
+        return this.#history.entries.filter(e => e.timestamp.getTime() >= start && e.timestamp.getTime() <= end).map(e => ({ ...e }));
+    }
+
+    /**
+     * Numeric history entries between two times, see .range().  Values are coerced to numbers; those that aren't numbers are skipped.
+     * @private
+     */
+    #numeric_range(from, to) {
+        return this.range(from, to)
+            .filter(e => e.value !== null && !(typeof e.value === 'string' && e.value.trim() === ''))
+            .map(e => ({ value: Number(e.value), timestamp: e.timestamp }))
+            .filter(e => !isNaN(e.value));
+    }
+
+    /**
+     * Minimum, maximum and average of the numeric values between two times, see .range()
+     * 
+     * @param {dayjs|Date|string|number} [from] - The earliest time.
+     * @param {dayjs|Date|string|number} [to] - The latest time.
+     * @returns {{count: number, min: number|null, max: number|null, avg: number|null}} The statistics.  min, max and avg are null if there are no numeric values.
+     * @throws {Error} If no history is kept or a time is invalid.
+     */
+    stats(from, to) {
+
+        const values = this.#numeric_range(from, to).map(e => e.value);
+        if (values.length === 0) { return { count: 0, min: null, max: null, avg: null }; }
+
+        // A loop rather than Math.min(...values), which runs out of stack on long histories
+        let min = Infinity, max = -Infinity, sum = 0;
+        for (let v of values) {
+            if (v < min) { min = v; }
+            if (v > max) { max = v; }
+            sum += v;
+        }
+        return { count: values.length, min, max, avg: sum / values.length };
+    }
+
+    /**
+     * The least squares slope of the numeric values between two times, see .range()
+     * 
+     * @param {dayjs|Date|string|number} [from] - The earliest time.
+     * @param {dayjs|Date|string|number} [to] - The latest time.
+     * @returns {number|null} The change in value per second, or null if there are fewer than two numeric values at different times.
+     * @throws {Error} If no history is kept or a time is invalid.
+     */
+    slope(from, to) {
+
+        const points = this.#numeric_range(from, to);
+        if (points.length < 2) { return null; }
+
+        // Seconds relative to the first point, to keep the sums small
+        const t0 = points[0].timestamp.getTime();
+        const xs = points.map(p => (p.timestamp.getTime() - t0) / 1000);
+        const ys = points.map(p => p.value);
+        const mean_x = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const mean_y = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+        let sxy = 0, sxx = 0;
+        for (let i = 0; i < xs.length; i++) {
+            sxy += (xs[i] - mean_x) * (ys[i] - mean_y);
+            sxx += (xs[i] - mean_x) ** 2;
+        }
+        return sxx === 0 ? null : sxy / sxx;
+    }
+
+    /**
+     * Convenience setter for set_value(), stamping the value with the current time on the scheduler's clock
      * @param {*} value - The value to set for the notion.
      */
-    set value(value) { this.set_value(value, new Date()); }
+    set value(value) { this.set_value(value, new Date(this.scheduler.now())); }
 
     /**
      * Sets the value and timestamp of the notion.
@@ -81,8 +459,12 @@ class Notion extends EventEmitter {
      * If setter_mapping was set in the constructor, and if we pass an object with matching keys,
      * we will use those values instead of the raw `value` and `timestamp` parameters.
      * 
+     * If the notion has a type, the value is coerced to it; a value that doesn't fit emits `invalid` and is then dropped or flagged, see NotionType.
+     * A value older than the current one may be ignored or rejected, see .ordering.
+     * 
      * @param {*} value 
      * @param {dayjs|Date|string} timestamp 
+     * @returns {boolean} True if the value was stored, false if it was rejected or ignored.
      */
     set_value(value, timestamp) {
 
@@ -101,25 +483,44 @@ class Notion extends EventEmitter {
             }
         }
 
-        let date;
-        if (typeof timestamp === 'string') {
-            const parsed = dayjs(timestamp);
-            if (!parsed.isValid()) {
-                throw new Error('Invalid timestamp string.');
+        const date = Notion.#to_date(timestamp);
+        if (!date) { throw new Error('Invalid timestamp type. Must be dayjs, Date, or string.'); }
+
+        if (this.#ordering !== 'last_write' && this.#timestamp && date.getTime() < this.#timestamp.getTime()) {
+
+            const event = { property: this.#name, value, timestamp: date, current_timestamp: this.#timestamp };
+            if (this.#ordering === 'reject') {
+                this.emit('rejected', event);
+                return false;
+            }
+
+            // Newest wins, but the late value is still part of the story
+            if (this.#history) {
+                const { value: checked, problem } = this.#type ? this.#type.check(value) : { value, problem: null };
+                if (!problem) { this.#record(checked, date); }
+            }
+            this.emit('ignored', event);
+            return false;
+        }
+
+        let problem = null;
+        if (this.#type) {
+            ({ value, problem } = this.#type.check(value));
+            if (problem) {
+                const action = (this.#type.on_invalid === 'flag') ? 'flagged' : 'rejected';
+                this.emit('invalid', { property: this.#name, value, problem, timestamp: date, action });
+                if (action === 'rejected') { return false; }
             }
-            date = parsed.toDate();
-        } else if (timestamp?.$d instanceof Date) { // Check for dayjs-like object
-            date = timestamp.toDate();
-        } else if (timestamp instanceof Date) {
-            date = timestamp;
-        } else {
-            throw new Error('Invalid timestamp type. Must be dayjs, Date, or string.');
         }
 
         let old_value = this.#value; // Store the old value for event emission
         let old_timestamp = this.#timestamp; // Store the old timestamp for event emission
+        const was_stale = this.stale;
         this.#value = value;
         this.#timestamp = date;
+        this.#invalid = problem;
+        this.#arm();
+        if (this.#history) { this.#record(value, date); }
 
         this.emit('changed', {
             property: this.#name,
@@ -129,6 +530,11 @@ class Notion extends EventEmitter {
             new_timestamp: this.#timestamp
         });
 
+        // A value that arrives already stale (e.g. backfilled) makes a fresh notion stale straight away
+        if (!was_stale && this.stale) {
+            this.emit('stale', { property: this.#name, timestamp: this.#timestamp, max_age: this.#max_age });
+        }
+        return true;
     }
 }
 
@@ -0,0 +1,220 @@
+const dayjs = require('dayjs');
+
+const TYPES = ['number', 'integer', 'boolean', 'enum', 'string', 'date', 'geo'];
+const ACTIONS = ['reject', 'flag'];
+const TRUTHY_STRINGS = ['true', '1', 'yes', 'on'];
+const FALSY_STRINGS = ['false', '0', 'no', 'off', ''];
+
+/**
+ * @class NotionType
+ * @description The declared type of a Notion, which coerces incoming values and catches invalid ones before they reach element conditions.
+ *
+ * Types:
+ * - `number` - a finite number, optionally within `minimum` and `maximum` (inclusive).  Numeric strings like "90" are coerced.
+ * - `integer` - the same, but whole
+ * - `boolean` - true or false.  "true", "1", "yes", "on" and their opposites (case insensitive), and 1 and 0, are coerced.
+ * - `enum` - one of `values`.  Values are matched as strings, so "2" matches 2, and the declared value is stored.
+ * - `string` - a string.  Numbers and booleans are coerced.
+ * - `date` - a Date.  ISO 8601 strings, dayjs objects and milliseconds since the epoch are coerced.
+ * - `geo` - a point `{ lat, lon, alt }` in WGS84 degrees and meters (alt optional).  `lng` is accepted for `lon` and numeric strings are coerced.
+ *
+ * With `coerce: false`, values must already be of the right type.  `null` and `undefined` are always valid; they mean the value is unknown.
+ *
+ * What happens to invalid values is up to `on_invalid`: 'reject' (default) keeps the old value, 'flag' stores the value but marks the notion invalid (see Notion.invalid).  Either way the notion emits `invalid`.
+ */
+class NotionType {
+
+	#type;
+	#minimum;
+	#maximum;
+	#values;
+	#coerce;
+	#on_invalid;
+
+	/**
+	 * Creates a new NotionType
+	 * @param {object} spec - The type specification, see the class description.
+	 * @param {string} spec.type - The type name.
+	 * @param {number} [spec.minimum] - For number and integer, the lowest valid value.
+	 * @param {number} [spec.maximum] - For number and integer, the highest valid value.
+	 * @param {Array} [spec.values] - For enum, the valid values.
+	 * @param {boolean} [spec.coerce=true] - Whether to coerce values of other types.
+	 * @param {string} [spec.on_invalid='reject'] - 'reject' or 'flag'.
+	 * @throws {Error} If the specification is invalid.
+	 */
+	constructor(spec = {}) {
+
+		if (!TYPES.includes(spec.type)) { throw new Error(`Invalid notion type '${spec.type}'. Valid types are: ${TYPES.join(', ')}`); }
+		for (let key of ['minimum', 'maximum']) {
+			if (spec[key] === undefined) continue;
+			if (!['number', 'integer'].includes(spec.type)) { throw new Error(`Notion type '${spec.type}' can't have a ${key}.`); }
+			if (typeof spec[key] !== 'number') { throw new Error(`Notion type ${key} must be a number.`); }
+		}
+		if (spec.type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) { throw new Error("Notion type 'enum' requires a non-empty values array."); }
+		if (spec.type !== 'enum' && spec.values !== undefined) { throw new Error(`Notion type '${spec.type}' can't have values.`); }
+		if (spec.coerce !== undefined && typeof spec.coerce !== 'boolean') { throw new Error("Notion type coerce must be a boolean."); }
+		if (spec.on_invalid !== undefined && !ACTIONS.includes(spec.on_invalid)) { throw new Error(`Invalid on_invalid '${spec.on_invalid}'. Valid actions are: ${ACTIONS.join(', ')}`); }
+
+		this.#type = spec.type;
+		this.#minimum = spec.minimum ?? null;
+		this.#maximum = spec.maximum ?? null;
+		this.#values = spec.values ? [...spec.values] : null;
+		this.#coerce = spec.coerce !== false;
+		this.#on_invalid = spec.on_invalid ?? 'reject';
+	}
+
+	/**
+	 * Make a NotionType from a type name, a specification or a NotionType
+	 * @param {string|object|NotionType} spec - e.g. 'number' or `{ type: 'number', minimum: 0 }`.
+	 * @returns {NotionType} The type.
+	 * @throws {Error} If the specification is invalid.
+	 * @static
+	 */
+	static from(spec) {
+		if (spec instanceof NotionType) { return spec; }
+		return new NotionType(typeof spec === 'string' ? { type: spec } : spec);
+	}
+
+	/**
+	 * Schema for a notion type in config (see ConfigSchema), either a type name or a specification
+	 * @returns {object} A schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			type: 'any',
+			validate: (value) => {
+				if (typeof value !== 'string' && (!value || typeof value !== 'object' || Array.isArray(value))) { return 'must be a type name or an object'; }
+				try { NotionType.from(value); } catch (e) { return e.message; }
+			}
+		};
+	}
+
+	get type() { return this.#type; }
+	get minimum() { return this.#minimum; }
+	get maximum() { return this.#maximum; }
+	get values() { return this.#values ? [...this.#values] : null; }
+	get coerce() { return this.#coerce; }
+	get on_invalid() { return this.#on_invalid; }
+
+	/**
+	 * The specification this type was made from, e.g. for config or snapshots
+	 * @returns {object} The specification.
+	 */
+	toObject() {
+		let spec = { type: this.#type };
+		if (this.#minimum !== null) { spec.minimum = this.#minimum; }
+		if (this.#maximum !== null) { spec.maximum = this.#maximum; }
+		if (this.#values) { spec.values = [...this.#values]; }
+		if (!this.#coerce) { spec.coerce = false; }
+		if (this.#on_invalid !== 'reject') { spec.on_invalid = this.#on_invalid; }
+		return spec;
+	}
+
+	toString() { return this.#type; }
+
+	/**
+	 * Coerce and validate a value
+	 *
+	 * @param {*} value - The incoming value.
+	 * @returns {{value: *, problem: string|null}} The coerced value, and a description of what is wrong with it, or null if it is valid.
+	 */
+	check(value) {
+
+		if (value === undefined || value === null) { return { value, problem: null }; }
+
+		const coerced = this.#coerce ? this.#coerce_value(value) : value;
+		const problem = this.#validate(coerced);
+		return problem ? { value, problem } : { value: coerced, problem: null };
+	}
+
+	/**
+	 * Coerce a value to the type, returning it unchanged if it can't be
+	 * @private
+	 */
+	#coerce_value(value) {
+
+		switch (this.#type) {
+
+			case 'number':
+			case 'integer':
+				if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) { return Number(value); }
+				return value;
+
+			case 'boolean':
+				if (typeof value === 'string') {
+					const s = value.trim().toLowerCase();
+					if (TRUTHY_STRINGS.includes(s)) { return true; }
+					if (FALSY_STRINGS.includes(s)) { return false; }
+				}
+				if (value === 1 || value === 0) { return value === 1; }
+				return value;
+
+			case 'enum': {
+				const match = this.#values.find(v => String(v) === String(value));
+				return match === undefined ? value : match;
+			}
+
+			case 'string':
+				return (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value;
+
+			case 'date':
+				if (typeof value === 'string') {
+					const parsed = dayjs(value);
+					return parsed.isValid() ? parsed.toDate() : value;
+				}
+				if (value?.$d instanceof Date) { return value.toDate(); }
+				if (typeof value === 'number') { return new Date(value); }
+				return value;
+
+			case 'geo': {
+				if (typeof value !== 'object' || Array.isArray(value)) { return value; }
+				const number = (v) => (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) ? Number(v) : v;
+				let point = { lat: number(value.lat), lon: number(value.lon ?? value.lng) };
+				if (value.alt !== undefined && value.alt !== null) { point.alt = number(value.alt); }
+				return point;
+			}
+		}
+	}
+
+	/**
+	 * Describe what is wrong with a (coerced) value
+	 * @private
+	 * @returns {string|null} The problem, or null if the value is valid.
+	 */
+	#validate(value) {
+
+		switch (this.#type) {
+
+			case 'number':
+			case 'integer':
+				if (typeof value !== 'number' || !isFinite(value)) { return `${JSON.stringify(value)} is not a number`; }
+				if (this.#type === 'integer' && !Number.isInteger(value)) { return `${value} is not an integer`; }
+				if (this.#minimum !== null && value < this.#minimum) { return `${value} is below ${this.#minimum}`; }
+				if (this.#maximum !== null && value > this.#maximum) { return `${value} is above ${this.#maximum}`; }
+				return null;
+
+			case 'boolean':
+				return typeof value === 'boolean' ? null : `${JSON.stringify(value)} is not a boolean`;
+
+			case 'enum':
+				return this.#values.includes(value) ? null : `${JSON.stringify(value)} is not one of ${this.#values.join(', ')}`;
+
+			case 'string':
+				return typeof value === 'string' ? null : `${JSON.stringify(value)} is not a string`;
+
+			case 'date':
+				return (value instanceof Date && !isNaN(value.getTime())) ? null : `${JSON.stringify(value)} is not a date`;
+
+			case 'geo': {
+				const valid = (v, limit) => typeof v === 'number' && isFinite(v) && Math.abs(v) <= limit;
+				if (!value || typeof value !== 'object' || Array.isArray(value)) { return `${JSON.stringify(value)} is not a point`; }
+				if (!valid(value.lat, 90) || !valid(value.lon, 180)) { return `${JSON.stringify(value)} is not a valid lat/lon`; }
+				if ('alt' in value && !valid(value.alt, Infinity)) { return `${JSON.stringify(value)} has an invalid alt`; }
+				return null;
+			}
+		}
+	}
+}
+
+module.exports = NotionType;
@@ -0,0 +1,235 @@
+const Element = require('./Element');
+const ElementCondition = require('./ElementCondition');
+const ConditionRollup = require('./ConditionRollup');
+
+const CHECKS = ['minimum', 'maximum', 'equals', 'one_of', 'max_age'];
+const OPTIONS = ['unless', 'severity'];
+const FALSY_STRINGS = ['', '0', 'false', 'no', 'off'];
+
+/**
+ * @class RequirementElement
+ * @description An Element whose condition is driven by declarative requirements on the paired Asset's notions, e.g. from board.conf:
+ *
+ * ```
+ * { "class": "RequirementElement", "requirements": { "soc": { "minimum": 50, "unless_charging": true } } }
+ * ```
+ *
+ * Each requirement is keyed by notion name and may contain:
+ * - `minimum`, `maximum` - numeric bounds (inclusive)
+ * - `equals` - the value must equal this
+ * - `one_of` - the value must equal one of these
+ * - `max_age` - the value must have been updated within this many seconds
+ * - `unless` - an object of notion → value; if any of them match, the requirement is waived.  `unless_<notion>: value` is shorthand for the same thing.
+ * - `severity` - the condition when the requirement fails, 'red' (default) or 'yellow'
+ *
+ * A failed requirement gives its severity; a requirement that can't be evaluated (e.g. missing value) gives unknown.  The element takes the worst of all requirements.
+ */
+class RequirementElement extends Element {
+
+	#requirements = [];
+
+	/**
+	 * Creates a new RequirementElement
+	 * @param {object} [obj={}] - Configuration object for the element, see Element for other options.
+	 * @param {object} [obj.requirements={}] - Requirements keyed by notion name.
+	 * @throws {Error} If any requirement is invalid.
+	 */
+	constructor(obj = {}) {
+
+		super(obj);
+
+		const requirements = obj.requirements || {};
+		if (typeof requirements !== 'object' || Array.isArray(requirements)) { throw new Error("Requirements must be an object keyed by notion name."); }
+
+		for (let [name, spec] of Object.entries(requirements)) {
+			this.#requirements.push(RequirementElement.#parse_requirement(name, spec));
+		}
+
+		// Changes to our notions re-evaluate by themselves (see Element.dependencies), but a fresh value moves the max_age deadline
+		const aged = this.#requirements.filter(r => 'max_age' in r).map(r => r.name);
+		if (aged.length) {
+			this.on('paired', () => this.#schedule_max_age());
+			this.watch(aged, () => this.#schedule_max_age());
+		}
+	}
+
+	/**
+	 * Adds `requirements` to the Element config schema
+	 * @returns {object} A map of key → schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			...super.config_schema,
+			requirements: {
+				type: 'object',
+				values: { type: 'object' },
+				validate: (value) => {
+					try { for (let [name, spec] of Object.entries(value)) { RequirementElement.#parse_requirement(name, spec); } }
+					catch (e) { return e.message; }
+				}
+			}
+		};
+	}
+
+	/**
+	 * Parse and validate a single requirement
+	 *
+	 * @private
+	 * @param {string} name - The notion name.
+	 * @param {object} spec - The requirement specification.
+	 * @returns {object} The normalized requirement.
+	 * @throws {Error} If the requirement is invalid.
+	 */
+	static #parse_requirement(name, spec) {
+
+		if (!spec || typeof spec !== 'object' || Array.isArray(spec)) { throw new Error(`Requirement for '${name}' must be an object.`); }
+		if (spec.unless !== undefined && (!spec.unless || typeof spec.unless !== 'object' || Array.isArray(spec.unless))) { throw new Error(`Requirement 'unless' for '${name}' must be an object.`); }
+
+		let requirement = { name, unless: { ...(spec.unless || {}) }, severity: spec.severity || 'red' };
+		for (let [key, value] of Object.entries(spec)) {
+
+			if (key.startsWith('unless_')) { requirement.unless[key.slice('unless_'.length)] = value; continue; }
+			if (OPTIONS.includes(key)) continue;
+			if (!CHECKS.includes(key)) { throw new Error(`Unknown requirement '${key}' for '${name}'. Valid requirements are: ${[...CHECKS, ...OPTIONS].join(', ')}, unless_<notion>`); }
+
+			if (['minimum', 'maximum', 'max_age'].includes(key) && typeof value !== 'number') { throw new Error(`Requirement '${key}' for '${name}' must be a number.`); }
+			if (key === 'one_of' && !Array.isArray(value)) { throw new Error(`Requirement 'one_of' for '${name}' must be an array.`); }
+			requirement[key] = value;
+		}
+
+		if (!['red', 'yellow'].includes(requirement.severity)) { throw new Error(`Requirement severity for '${name}' must be 'red' or 'yellow'.`); }
+		return requirement;
+	}
+
+	/**
+	 * Compare a notion value against an expected value from the config
+	 *
+	 * Booleans and numbers in the config are matched loosely, since feeds often send e.g. "0" or "1" as strings.
+	 * @private
+	 * @param {*} value - The notion value.
+	 * @param {*} expected - The expected value.
+	 * @returns {boolean} True if the value matches.
+	 */
+	static #matches(value, expected) {
+
+		if (typeof expected === 'boolean') {
+			if (typeof value === 'string') { return !FALSY_STRINGS.includes(value.trim().toLowerCase()) === expected; }
+			return Boolean(value) === expected;
+		}
+		if (typeof expected === 'number') { return Number(value) === expected; }
+		return String(value) === String(expected);
+	}
+
+	/**
+	 * The names of all notions that the requirements (including unless clauses) depend on
+	 * @returns {string[]} Notion names.
+	 */
+	get notion_names() {
+		let names = new Set();
+		for (let r of this.#requirements) {
+			names.add(r.name);
+			for (let n of Object.keys(r.unless)) { names.add(n); }
+		}
+		return [...names];
+	}
+
+	/**
+	 * Inputs are all notions that the requirements depend on, so any of them going stale makes the element unknown
+	 * @returns {string[]} Notion names.
+	 */
+	get inputs() {
+		return this.notion_names;
+	}
+
+	/**
+	 * Ask for a re-evaluation when the next fresh value passes its max_age, since no event will tell us
+	 * @private
+	 */
+	#schedule_max_age() {
+
+		const now = this.scheduler.now();
+		let deadlines = [];
+		for (let r of this.#requirements.filter(r => 'max_age' in r)) {
+			const timestamp = this.asset.get_notion(r.name)?.timestamp;
+			if (!timestamp) continue;
+
+			const deadline = timestamp.getTime() + r.max_age * 1000 + 1; // The first moment it is older than max_age
+			if (deadline > now) { deadlines.push(deadline); }
+		}
+
+		this.reevaluate_at(deadlines.length ? Math.min(...deadlines) : null);
+	}
+
+	/**
+	 * Evaluate a single requirement against an asset
+	 *
+	 * @private
+	 * @param {object} r - The requirement.
+	 * @param {object} asset - The asset, or an asset-like view (see Element.assess()).
+	 * @param {number} now - The time to evaluate at, in milliseconds since the epoch.
+	 * @returns {{condition: string, message: string}} The outcome of this requirement.
+	 */
+	#evaluate(r, asset, now) {
+		const pass = { condition: 'green', message: '' };
+		const fail = (message) => ({ condition: r.severity, message });
+
+		// Waived?
+		for (let [name, expected] of Object.entries(r.unless)) {
+			const value = asset.p(name);
+			if (value !== undefined && value !== null && RequirementElement.#matches(value, expected)) { return pass; }
+		}
+
+		const notion = asset.get_notion(r.name);
+		const value = notion?.value;
+		if (value === undefined || value === null) { return { condition: 'unknown', message: `${r.name} unknown` }; }
+
+		if ('max_age' in r) {
+			if (!notion.timestamp) { return { condition: 'unknown', message: `${r.name} age unknown` }; }
+			if (now - notion.timestamp.getTime() > r.max_age * 1000) { return fail(`${r.name} older than ${r.max_age}s`); }
+		}
+
+		if ('minimum' in r || 'maximum' in r) {
+			const n = (typeof value === 'string' && value.trim() === '') ? NaN : Number(value);
+			if (isNaN(n)) { return { condition: 'unknown', message: `${r.name} not a number` }; }
+			if ('minimum' in r && n < r.minimum) { return fail(`${r.name} below ${r.minimum}`); }
+			if ('maximum' in r && n > r.maximum) { return fail(`${r.name} above ${r.maximum}`); }
+		}
+
+		if ('equals' in r && !RequirementElement.#matches(value, r.equals)) { return fail(`${r.name} not ${r.equals}`); }
+		if ('one_of' in r && !r.one_of.some(v => RequirementElement.#matches(value, v))) { return fail(`${r.name} not one of ${r.one_of.join(', ')}`); }
+
+		return pass;
+	}
+
+	/**
+	 * The worst outcome of all requirements.  Messages name the failed requirements but deliberately not the live values, so that the summary doesn't churn.
+	 * @returns {ElementCondition} The condition for this element.
+	 */
+	get condition() {
+
+		if (!this.asset) { return new ElementCondition('unknown', 'unknown', 'no asset'); }
+		return this.assess(this.asset, this.scheduler.now());
+	}
+
+	/**
+	 * Evaluate the requirements against any asset state, see Element.assess()
+	 * @param {object} asset - The asset, or an asset-like view of a projected state.
+	 * @param {number} now - The time to assess at, in milliseconds since the epoch.
+	 * @returns {ElementCondition} The worst outcome of all requirements.
+	 */
+	assess(asset, now) {
+
+		const outcomes = this.#requirements.map(r => this.#evaluate(r, asset, now));
+		const condition = outcomes.reduce((worst, o) => ConditionRollup.compare_severity(o.condition, worst) > 0 ? o.condition : worst, 'green');
+		const message = outcomes.filter(o => o.message).map(o => o.message).join(', ');
+
+		return new ElementCondition(condition, 'unknown', message);
+	}
+
+	get summary() {
+		return `${this.toString()}:${this.effective_condition.toString()}`;
+	}
+}
+
+module.exports = RequirementElement;
@@ -0,0 +1,286 @@
+/**
+ * The clock that schedulers use unless given another one.  Timers are unref'd so that they never keep the process alive.
+ * @private
+ */
+const SYSTEM_CLOCK = {
+	now: () => Date.now(),
+	set_timeout: (fn, ms) => {
+		const timer = setTimeout(fn, ms);
+		timer.unref?.();
+		return timer;
+	},
+	clear_timeout: (timer) => clearTimeout(timer)
+};
+
+const MAX_TIMEOUT = 2 ** 31 - 1; // Longest delay setTimeout() can take, in milliseconds
+
+let shared = null;
+
+/**
+ * @class Scheduler
+ * @description Runs callbacks at a future time or on a periodic tick, e.g. so that elements can re-evaluate conditions that change with time alone ("last heartbeat more than 2 minutes ago").
+ *
+ * All jobs share a single timer for the earliest one.  Time comes from a clock, which is any object with:
+ * - `now()` - the current time in milliseconds since the epoch
+ * - `set_timeout(fn, ms)` - call fn after ms milliseconds, returning a handle
+ * - `clear_timeout(handle)` - cancel a handle returned by set_timeout
+ *
+ * The system clock is used by default; pass a ManualClock to advance time deterministically in tests.
+ *
+ * Work that should happen once after a burst of changes, rather than at a time, can be deferred to the next tick with .defer().  Whoever owns the burst (e.g. a Board ingesting a batch) can then .settle() it before reporting on the result.
+ */
+class Scheduler {
+
+	#clock;
+	#jobs = []; // { id, time, interval, fn }, soonest first
+	#timer = null;
+	#running = []; // Jobs taken off #jobs by the current #run()
+	#deferred = []; // Callbacks from .defer() waiting for the next tick or .settle()
+	#next_id = 1;
+	#disposed = false;
+
+	/**
+	 * Creates a new Scheduler
+	 * @param {object} [options={}] - Options.
+	 * @param {object} [options.clock] - The clock to use, see the class description.  Defaults to the system clock.
+	 * @throws {Error} If the clock is invalid.
+	 */
+	constructor(options = {}) {
+
+		const clock = options.clock ?? SYSTEM_CLOCK;
+		if (['now', 'set_timeout', 'clear_timeout'].some(k => typeof clock?.[k] !== 'function')) { throw new Error("Clock must have now(), set_timeout() and clear_timeout() methods."); }
+		this.#clock = clock;
+	}
+
+	/**
+	 * The system clock
+	 * @returns {object} A clock backed by Date.now() and setTimeout().
+	 * @static
+	 */
+	static get system_clock() { return SYSTEM_CLOCK; }
+
+	/**
+	 * A scheduler on the system clock, for elements that aren't on a board
+	 * @returns {Scheduler} The shared scheduler.
+	 * @static
+	 */
+	static get shared() {
+		if (!shared) { shared = new Scheduler(); }
+		return shared;
+	}
+
+	get clock() { return this.#clock; }
+	get size() { return this.#jobs.length; }
+	get disposed() { return this.#disposed; }
+
+	/**
+	 * The current time according to the clock
+	 * @returns {number} Milliseconds since the epoch.
+	 */
+	now() {
+		return this.#clock.now();
+	}
+
+	/**
+	 * Run a callback once at a given time
+	 *
+	 * @param {Date|number} time - When to run, as a Date or milliseconds since the epoch.  Times in the past run as soon as possible.
+	 * @param {function(): void} fn - The callback.
+	 * @returns {number} A job ID for .cancel().
+	 * @throws {Error} If the time or callback is invalid, or the scheduler has been disposed.
+	 */
+	at(time, fn) {
+
+		const ms = (time instanceof Date) ? time.getTime() : time;
+		if (typeof ms !== 'number' || isNaN(ms)) { throw new Error("Scheduler time must be a Date or a number of milliseconds since the epoch."); }
+		return this.#add(ms, null, fn);
+	}
+
+	/**
+	 * Run a callback once after a delay
+	 *
+	 * @param {number} seconds - The delay in seconds.
+	 * @param {function(): void} fn - The callback.
+	 * @returns {number} A job ID for .cancel().
+	 * @throws {Error} If the delay or callback is invalid, or the scheduler has been disposed.
+	 */
+	after(seconds, fn) {
+
+		if (typeof seconds !== 'number' || !(seconds >= 0)) { throw new Error("Scheduler delay must be a non-negative number of seconds."); }
+		return this.#add(this.now() + seconds * 1000, null, fn);
+	}
+
+	/**
+	 * Run a callback periodically, first after one interval
+	 *
+	 * If the scheduler falls behind (e.g. a manual clock jumps ahead several intervals), missed ticks are skipped rather than run back to back.
+	 * @param {number} seconds - The interval in seconds.
+	 * @param {function(): void} fn - The callback.
+	 * @returns {number} A job ID for .cancel().
+	 * @throws {Error} If the interval or callback is invalid, or the scheduler has been disposed.
+	 */
+	every(seconds, fn) {
+
+		if (typeof seconds !== 'number' || !(seconds > 0)) { throw new Error("Scheduler interval must be a positive number of seconds."); }
+		return this.#add(this.now() + seconds * 1000, seconds * 1000, fn);
+	}
+
+	/**
+	 * Cancel a job
+	 *
+	 * @param {number} id - A job ID from .at(), .after() or .every().
+	 * @returns {boolean} True if the job was cancelled, false if there was no such job (e.g. it already ran).
+	 */
+	cancel(id) {
+
+		const running = this.#running.find(j => j.id === id && !j.cancelled);
+		if (running) { running.cancelled = true; }
+
+		const i = this.#jobs.findIndex(j => j.id === id);
+		if (i === -1) { return Boolean(running); }
+
+		this.#jobs.splice(i, 1);
+		if (i === 0) { this.#arm(); }
+		return true;
+	}
+
+	/**
+	 * Run a callback on the next tick, or sooner if someone calls .settle()
+	 *
+	 * If callbacks throw when they run on the next tick, the error is rethrown there once they have all run (as an AggregateError if there is more than one).
+	 * @param {function(): void} fn - The callback.
+	 * @throws {Error} If the callback is invalid, or the scheduler has been disposed.
+	 */
+	defer(fn) {
+
+		if (this.#disposed) { throw new Error("Scheduler has been disposed."); }
+		if (typeof fn !== 'function') { throw new Error("Scheduler callback must be a function."); }
+
+		if (this.#deferred.length === 0) {
+			process.nextTick(() => {
+				const errors = this.settle();
+				if (errors.length) { throw Scheduler.combine_errors(errors); }
+			});
+		}
+		this.#deferred.push(fn);
+	}
+
+	/**
+	 * Run every deferred callback now, including any that they defer in turn
+	 *
+	 * A callback that throws does not stop the rest; its error is returned instead.
+	 * @returns {Error[]} What the callbacks threw, in order; empty if they all succeeded.
+	 */
+	settle() {
+
+		let errors = [];
+		while (this.#deferred.length) {
+			const deferred = this.#deferred;
+			this.#deferred = [];
+			for (let fn of deferred) {
+				try { fn(); } catch (e) { errors.push(e); }
+			}
+		}
+		return errors;
+	}
+
+	/**
+	 * One error to throw for the errors from .settle()
+	 *
+	 * @param {Error[]} errors - At least one error.
+	 * @returns {Error} The error itself if there is only one, otherwise an AggregateError of them all.
+	 * @static
+	 */
+	static combine_errors(errors) {
+		return (errors.length === 1) ? errors[0] : new AggregateError(errors, `${errors.length} deferred callbacks failed: ${errors.map(e => e.message).join('; ')}`);
+	}
+
+	/**
+	 * Cancel every job and deferred callback and stop the timer.  Any further scheduling fails.
+	 */
+	dispose() {
+
+		for (let job of this.#running) { job.cancelled = true; }
+		this.#jobs = [];
+		this.#deferred = [];
+		this.#arm();
+		this.#disposed = true;
+	}
+
+	/**
+	 * Add a job in time order
+	 * @private
+	 */
+	#add(time, interval, fn) {
+
+		if (this.#disposed) { throw new Error("Scheduler has been disposed."); }
+		if (typeof fn !== 'function') { throw new Error("Scheduler callback must be a function."); }
+
+		const job = { id: this.#next_id++, time, interval, fn };
+		this.#insert(job);
+		if (this.#jobs[0] === job) { this.#arm(); }
+		return job.id;
+	}
+
+	/**
+	 * Insert a job after every job due at or before the same time, so that ties run in the order they were scheduled
+	 * @private
+	 */
+	#insert(job) {
+
+		let lo = 0, hi = this.#jobs.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >> 1;
+			if (this.#jobs[mid].time <= job.time) { lo = mid + 1; } else { hi = mid; }
+		}
+		this.#jobs.splice(lo, 0, job);
+	}
+
+	/**
+	 * (Re)start the timer for the earliest job
+	 * @private
+	 */
+	#arm() {
+
+		if (this.#timer !== null) { this.#clock.clear_timeout(this.#timer); }
+		this.#timer = null;
+		if (this.#jobs.length === 0) { return; }
+
+		// Jobs further off than a timer can wait are reached in steps; #run() only runs what is due
+		const wait = Math.min(MAX_TIMEOUT, Math.max(0, this.#jobs[0].time - this.now()));
+		this.#timer = this.#clock.set_timeout(() => {
+			this.#timer = null;
+			this.#run();
+		}, wait);
+	}
+
+	/**
+	 * Run every job that is due
+	 * @private
+	 */
+	#run() {
+
+		const now = this.now();
+		let due = [];
+		while (this.#jobs.length && this.#jobs[0].time <= now) { due.push(this.#jobs.shift()); }
+
+		// Periodic jobs go back in before anything runs, so that callbacks can cancel them
+		for (let job of due) {
+			if (job.interval === null) continue;
+			job.time += (Math.floor((now - job.time) / job.interval) + 1) * job.interval;
+			this.#insert(job);
+		}
+
+		this.#running = due;
+		try {
+			for (let job of due) {
+				if (!job.cancelled) { job.fn(); }
+			}
+		} finally {
+			this.#running = [];
+			if (!this.#disposed) { this.#arm(); }
+		}
+	}
+}
+
+module.exports = Scheduler;
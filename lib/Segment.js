@@ -1,5 +1,6 @@
 const Asset = require('../lib/Asset');
 const Element = require('../lib/Element');
+const ConditionRollup = require('./ConditionRollup');
 const EventEmitter = require('node:events').EventEmitter;
 
 /**
@@ -12,21 +13,57 @@ const EventEmitter = require('node:events').EventEmitter;
  * @param {number} data.index - The index of the element that changed, or -1 if the change was not related to a specific element.
  */
 
+/**
+ * @event condition_change
+ * @description Emitted when the rolled up condition (condition or trend) of the segment changes
+ * @param {Object} data - The data associated with the condition_change event.
+ * @param {Segment} data.segment - The segment whose condition changed.
+ * @param {ElementCondition} data.condition - The new condition of the segment.
+ * @param {ElementCondition} data.previous - The previous condition of the segment.
+ */
+
+/**
+ * @event asset_added
+ * @description Emitted when an asset is added to the segment
+ * @param {Object} data - The data associated with the asset_added event.
+ * @param {Segment} data.segment - The segment.
+ * @param {Asset} data.asset - The asset that was added.
+ */
+
+/**
+ * @event asset_removed
+ * @description Emitted when an asset is removed from the segment
+ * @param {Object} data - The data associated with the asset_removed event.
+ * @param {Segment} data.segment - The segment.
+ * @param {Asset} data.asset - The asset that was removed.
+ */
+
 /**
  * @class Segment
  * @description Represents a segment of a board, containing elements and assets.
  * @emits change - Emitted when an element's render changes
+ * @emits condition_change - Emitted when the rolled up condition of the segment changes
+ * @emits asset_added - Emitted when an asset is added
+ * @emits asset_removed - Emitted when an asset is removed
+ * @emits disposed - Emitted when the segment is torn down
  */
 class Segment extends EventEmitter{
     #name;
-    #assets = [];
+    #assets = new Map(); // Maps asset IDs to assets, in the order they were added
 	#board;
 	#elements = [];
+	#slots = new Map(); // Maps elements to their index in #elements
+	#paired = new Map(); // Maps asset IDs to the element paired with the asset
+	#statics = []; // Static elements, in slot order
+	#free = []; // Indices of null slots in #elements, ascending
+	#rollup;
+	#cached_condition;
 
 	/**
 	 * 
 	 * @param {*} obj configuration object for the segment
 	 * @param {string} obj.name - The name of the segment.
+	 * @param {object} [obj.rollup] - Configuration for the ConditionRollup used to compute the segment condition, e.g. `{ policy: 'threshold', thresholds: { red: 5 } }`.
 	 * @param {Board} board - The board this segment belongs to.
 	 * @throws {Error} If no Board provided, or if an element class is specified in the config that does not exist, or if the class does not inherit from Element.
 	 */
@@ -38,11 +75,33 @@ class Segment extends EventEmitter{
 
         this.#name = obj.name || 'Segment';
 		this.#board = board;
+		this.#rollup = new ConditionRollup(obj.rollup);
+
+		// Add all static elements specified in the config using _add_element so that events are set up correctly.  The rest of the element config is passed to the element constructor.
+		for(let e of obj.elements || []) {
+			const { class: classname, ...params } = e;
+			this._add_element(this.#board.element_factory(classname, { ...params, static: true }));
+		}
 
-		// Add all static elements specified in the config using _add_element so that events are set up correctly
-		for(let e of obj.elements || []) { this._add_element(this.#board.element_factory(e.class, { static: true })); }
+		// Watch our own changes so that we can tell when the rolled up condition changes.  Rolling up is O(elements), so only bother while someone is listening.
+		this.on('newListener', (event) => { if (event === 'condition_change' && this.listenerCount('condition_change') === 0) { this.#cached_condition = this.condition; } });
+		this.on('change', () => { if (this.listenerCount('condition_change') > 0) { this.#check_condition(); } });
     }
 
+	/**
+	 * Properties of the segment config in board.conf (see ConfigSchema).  Subclasses that take more config should extend this, e.g. `{ ...super.config_schema, boundary: { type: 'object', required: true } }`.
+	 * @returns {object} A map of key → schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			class: { type: 'string' },
+			name: { type: 'string' },
+			elements: { type: 'array', items: { type: 'object', class_of: Element, default_class: 'Element' } },
+			rollup: ConditionRollup.config_schema
+		};
+	}
+
     get name() {
         return this.#name;
     }
@@ -54,8 +113,19 @@ class Segment extends EventEmitter{
 	 * @returns {number} A checksum representing the current state of the segment.
 	 */
 	get checksum() {
+		return Segment.checksum_of(this.#elements);
+	}
+
+	/**
+	 * Compute a checksum of an array of elements (which may contain nulls), as used by .checksum
+	 * 
+	 * @param {Array<Element|null>} elements - The elements.
+	 * @returns {number} A checksum of the element summaries.
+	 * @static
+	 */
+	static checksum_of(elements) {
 		
-		let arr=this.elements.map(e => e?.summary||null);
+		let arr=elements.map(e => e?.summary||null);
 		let hash = 0;
 		for (let i = 0; i < arr.length; i++) {
 			const item = arr[i];
@@ -72,6 +142,55 @@ class Segment extends EventEmitter{
 		
 	}
 
+	/**
+	 * The rolled up condition of the elements in this segment, as configured by `rollup` in the segment config.
+	 * 
+	 * Static elements that are not paired with an asset are left out: an empty slot has nothing to report, and would otherwise count as `unknown`.
+	 * @returns {ElementCondition} The condition of the segment.
+	 */
+	get condition() {
+		return this.#rollup.rollup(this.reporting_elements.map(e => e.effective_condition));
+	}
+
+	/**
+	 * The elements whose conditions count towards the rollup: all of them, except static elements without an asset
+	 * @returns {Element[]} The elements, in slot order.
+	 */
+	get reporting_elements() {
+		return this.#elements.filter(e => e !== null && !(e.static && !e.asset));
+	}
+
+	get rollup() { return this.#rollup; }
+
+	/**
+	 * Statistics about the elements in this segment
+	 * 
+	 * @returns {object} The segment name and condition, plus counts and percentages of element conditions and trends (see ConditionRollup.tally())
+	 */
+	stats() {
+		return {
+			name: this.name,
+			condition: this.condition.toObject(),
+			...ConditionRollup.tally(this.#elements.filter(e => e !== null).map(e => e.effective_condition))
+		};
+	}
+
+	/**
+	 * Emit condition_change if the rolled up condition has changed since we last looked
+	 * 
+	 * @private
+	 * @emits condition_change
+	 */
+	#check_condition() {
+
+		const previous = this.#cached_condition;
+		const condition = this.condition;
+		if (previous.condition === condition.condition && previous.trend === condition.trend) { return; }
+
+		this.#cached_condition = condition;
+		this.emit('condition_change', { segment: this, condition, previous });
+	}
+
 	/**
 	 * Render the segment
 	 * 
@@ -110,35 +229,69 @@ class Segment extends EventEmitter{
 		if (typeof id !== 'string' || id.trim() === '') {
 			throw new Error("Asset ID must be a non-empty string.");
 		}
-		const asset = this.#assets.find(b => b.id === id);
-		return asset || null;
+		return this.#assets.get(id) || null;
+	}
+
+	/**
+	 * Find the element paired with an asset
+	 * @param {string} id - The ID of the asset.
+	 * @returns {Element|null} The element if the asset is in this segment, otherwise null.
+	 */
+	find_element(id) {
+		return this.#paired.get(id) || null;
+	}
+
+	/**
+	 * Decide whether this segment accepts an asset
+	 * 
+	 * Default behavior is to accept any asset.  Override this in a subclass to be pickier; it must not have side effects, since the Board also calls it to check whether an asset still belongs here.
+	 * 
+	 * @param {Asset} asset - The asset to check.
+	 * @returns {boolean} True if the asset belongs in this segment.
+	 */
+	accepts(asset) {
+		return true;
+	}
+
+	/**
+	 * Names of the notions of an asset that `accepts()` depends on
+	 * 
+	 * The Board watches these notions and re-homes the asset when they change.
+	 * @param {Asset} asset - The asset in question.
+	 * @returns {string[]} Notion names, empty in the base class since it accepts everything.
+	 */
+	membership_notions(asset) {
+		return [];
 	}
 
 	/**
 	 * Adds an asset to the array, pairing it with an existing static element or creating a new element if necessary
 	 * 
-	 * Default behavior is to accept any asset.  If you subclass this, you can be pickier - just call super.add_asset(asset) if you accept it.
+	 * The asset is only added if `.accepts()` returns true.  If you subclass this, you can also be pickier here - just call super.add_asset(asset) if you accept it.
 	 * 
 	 * @param {Asset} asset - The asset to add.
-     * @throws {Error} If the asset is not an instance of Asset, if the ID is invalid, or if an asset with the same ID already exists.
-     * @returns {boolean} True if the asset was added successfully.
+     * @throws {Error} If the asset is not an instance of Asset, if the ID is invalid, if an asset with the same ID already exists, or if the element factory fails (in which case the asset is not added).
+     * @returns {boolean} True if the asset was added successfully, false if this segment does not accept it.
 	 */
 	add_asset(asset) {
 
 		if (!(asset instanceof Asset)) { throw new Error("Only instances of Asset can be added"); }
+		if (!this.accepts(asset)) { return false; }
 
 		// Check if the asset already exists, then add it
 		const existing = this.find_asset(asset.id);
 		if (existing) { throw new Error(`Asset with ID ${asset.id} already exists.`); }
-		this.#assets.push(asset);
 
-		// Iterate all static elements and see if they can pair with this asset
-		for (const element of this.#elements.filter(e => e?.static)) { if (element.pair(asset)) {  return true; } }
+		// Find a static element that can pair with this asset, or else create a new element for it - before anything changes, since the element factory may throw
+		const spare = this.#statics.find(element => element.pair(asset, true));
+		const element = spare ?? this.#board.element_factory(asset);
+
+		this.#assets.set(asset.id, asset);
+		this.emit('asset_added', { segment: this, asset });
 
-		// No luck!  Create a new element for this asset
-		let element = this.#board.element_factory(asset);
 		element.pair(asset);
-		this._add_element(element);
+		this.#paired.set(asset.id, element);
+		if (!spare) { this._add_element(element); }
 
         return true;
 	}
@@ -154,23 +307,19 @@ class Segment extends EventEmitter{
 		// Validate the ID
 		if (typeof id !== 'string' || id.trim() === '') { throw new Error("Asset ID must be a non-empty string."); }
 
-		// Find the asset
-		const index = this.#assets.findIndex(a => a.id === id);
-		if (index === -1) { return false; } // Not found
-
-		// Remove the asset from the array
-		const asset = this.#assets.splice(index, 1)[0];
-
-		// Remove the asset from any associated elements
-		for (const element of this.#elements) { 
-			
-			if(element === null) continue; // Skip null elements
-
-			if (element.asset === asset) { 
-				element.unpair(); 
-				this._prune_elements();
-				break;
-			 } }
+		// Find the asset and remove it
+		const asset = this.#assets.get(id);
+		if (!asset) { return false; } // Not found
+		this.#assets.delete(id);
+		this.emit('asset_removed', { segment: this, asset });
+
+		// Remove the asset from the associated element
+		const element = this.#paired.get(id);
+		this.#paired.delete(id);
+		if (element?.asset === asset) {
+			element.unpair();
+			this.#prune(element);
+		}
 
 		return true; // Asset removed successfully
 	}
@@ -182,26 +331,43 @@ class Segment extends EventEmitter{
 	 */
 	_prune_elements() {
 
-		// Iterate all elements.  Any that are not static and have no asset should be replaced with null, and we should remove any listeners on them.
-		for (let i = 0; i < this.#elements.length; i++) {
-			const element = this.#elements[i];
+		// Iterate all elements.  Any that are not static and have no asset should be replaced with null.
+		for (let element of this.#elements) {
+			if (element !== null) { this.#prune(element); }
+		}
 
-			if( element === null) continue; // Skip null elements
+	}
 
-			if (!element.static && !element.asset) {
-				element.removeAllListeners('change'); // Remove listeners to prevent memory leaks
-				this.#elements[i] = null; // Replace with null
+	/**
+	 * Replace one element with null if it is not static and has no asset, removing our listeners on it
+	 * 
+	 * @private
+	 * @param {Element} element - The element.
+	 */
+	#prune(element) {
 
-				// Emit an event that the segment has changed
-				this.emit('change', {
-					segment: this,
-					element: null,
-					summary: "",
-					element_index: i
-				});
-			}
+		if (element.static || element.asset) { return; }
+
+		const index = this.#slots.get(element);
+		element.removeAllListeners('change'); // Remove listeners to prevent memory leaks
+		this.#elements[index] = null; // Replace with null
+		this.#slots.delete(element);
+
+		// Remember the hole, keeping the list sorted so that the first hole is filled first
+		let lo = 0, hi = this.#free.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >> 1;
+			if (this.#free[mid] < index) { lo = mid + 1; } else { hi = mid; }
 		}
+		this.#free.splice(lo, 0, index);
 
+		// Emit an event that the segment has changed
+		this.emit('change', {
+			segment: this,
+			element: null,
+			summary: "",
+			element_index: index
+		});
 	}
 
 	/**
@@ -215,18 +381,26 @@ class Segment extends EventEmitter{
 		if (!(element instanceof Element)) { throw new Error("Only instances of Element can be added"); }
 
 		// Check if this same element object already exists
-		if (this.#elements.includes(element)) { throw new Error("Element already exists in the segment"); }
+		if (this.#slots.has(element)) { throw new Error("Element already exists in the segment"); }
 
-		// Find the index of the first null element, if any, and replace it
-		let index = this.#elements.findIndex(e => e === null);
-		if (index !== -1) {
-			this.#elements[index] = element;
-		} else {
+		// Use the first null slot, if any, otherwise push the new element to the end of the array
+		const index = (this.#free.length > 0) ? this.#free.shift() : this.#elements.length;
 
-			// No null elements, so push the new element to the end of the array
-			this.#elements.push(element);
-			index = this.#elements.length - 1; 
-		}
+		this.#attach_element(element, index);
+	}
+
+	/**
+	 * Put an element into a slot, emit a change for it and pipe its future changes
+	 * 
+	 * @private
+	 * @param {Element} element - The element.
+	 * @param {number} index - The slot to put it in.
+	 */
+	#attach_element(element, index) {
+
+		this.#elements[index] = element;
+		this.#slots.set(element, index);
+		if (element.static) { this.#statics = this.#elements.filter(e => e?.static); }
 
 		// Emit an event that the segment has changed
 		this.emit('change', {
@@ -243,10 +417,115 @@ class Segment extends EventEmitter{
 			summary: e.summary,
 			element_index: index
 		}));
-	
-	}		
+	}
+
+	/**
+	 * Snapshot the layout of this segment
+	 * 
+	 * @returns {{name: string, class: string, checksum: number, assets: string[], elements: Array<null|{class: string, static: boolean, asset: string|null}>}} A JSON-serializable snapshot of the element slots and their pairings.
+	 */
+	snapshot() {
+		return {
+			name: this.name,
+			class: this.constructor.name,
+			checksum: this.checksum,
+			assets: [...this.#assets.keys()],
+			elements: this.#elements.map(e => e === null ? null : {
+				class: e.constructor.name,
+				static: e.static,
+				asset: e.asset?.id ?? null
+			})
+		};
+	}
+
+	/**
+	 * Restore the layout of this segment from a snapshot
+	 * 
+	 * Static elements (as created from the config) are put back into their slots in order, non-static elements are created for their assets by the board, and holes stay holes, so element indices match the snapshot.
+	 * This should only be called by Board.restore()
+	 * 
+	 * @private
+	 * @param {object} snapshot - A snapshot made by .snapshot().
+	 * @param {Map<string, Asset>} assets - Restored assets by ID.
+	 * @throws {Error} If the segment already has assets, or if the snapshot does not fit the configured static elements.
+	 */
+	_restore(snapshot, assets) {
+
+		if (this.#assets.size > 0) { throw new Error(`Segment '${this.name}' must be empty to be restored.`); }
+
+		let statics = this.#elements.filter(e => e?.static);
+		const fail = (index, message) => { throw new Error(`Unable to restore segment '${this.name}' element ${index}: ${message}`); };
+
+		// Work out the element for every slot before touching anything
+		let elements = snapshot.elements.map((slot, index) => {
+
+			if (slot === null) { return null; }
+
+			const asset = (slot.asset === null) ? null : assets.get(slot.asset);
+			if (slot.asset !== null && !asset) { fail(index, `asset '${slot.asset}' is missing from the snapshot.`); }
+
+			let element;
+			if (slot.static) {
+				element = statics.shift();
+				if (!element) { fail(index, `there is no static element left for it; does the config match the snapshot?`); }
+			} else {
+				if (!asset) { fail(index, `non-static elements must have an asset.`); }
+				element = this.#board.element_factory(asset);
+			}
+			if (element.constructor.name !== slot.class) { fail(index, `expected '${slot.class}' but got '${element.constructor.name}'; does the config match the snapshot?`); }
+
+			return element;
+		});
+		if (statics.length > 0) { throw new Error(`Unable to restore segment '${this.name}': the config has more static elements than the snapshot.`); }
+
+		// Lay out the slots and pair the assets
+		for (let element of this.#elements) { element?.removeAllListeners('change'); }
+		this.#elements = elements.map(() => null);
+		this.#slots = new Map();
+		this.#free = elements.flatMap((element, index) => element ? [] : [index]);
+		elements.forEach((element, index) => { if (element) { this.#attach_element(element, index); } });
+
+		for (let id of snapshot.assets) {
+			const asset = assets.get(id);
+			if (!asset) { throw new Error(`Unable to restore segment '${this.name}': asset '${id}' is missing from the snapshot.`); }
+			this.#assets.set(id, asset);
+			this.emit('asset_added', { segment: this, asset });
+		}
+		snapshot.elements.forEach((slot, index) => {
+			if (slot?.asset) {
+				elements[index].pair(assets.get(slot.asset));
+				this.#paired.set(slot.asset, elements[index]);
+			}
+		});
+	}
+
+	/**
+	 * Tear down the segment
+	 * 
+	 * Every element stops piping its changes and is unpaired (so elements drop their own asset listeners), assets and elements are forgotten, `disposed` is emitted and all listeners on the segment are removed.
+	 * This should only be called by the Board, after it has stopped listening to the segment.
+	 * 
+	 * @private
+	 */
+	dispose() {
+
+		for (let element of this.#elements) {
+			if (element === null) continue;
+			element.removeAllListeners('change');
+			if (element.asset) { element.unpair(); }
+		}
+		this.#elements = [];
+		this.#assets = new Map();
+		this.#slots = new Map();
+		this.#paired = new Map();
+		this.#statics = [];
+		this.#free = [];
+
+		this.emit('disposed', { segment: this });
+		this.removeAllListeners();
+	}
 
-    get assets() { return [...this.#assets]; }
+    get assets() { return [...this.#assets.values()]; }
 	get elements() { return [...this.#elements]; }
 }
 
@@ -0,0 +1,110 @@
+const Segment = require('./Segment');
+const ConditionRollup = require('./ConditionRollup');
+
+/**
+ * @class SegmentView
+ * @description A filtered, read-only view of a Segment, as exposed by a BoardView.
+ * 
+ * Elements that don't pass the filter appear as `null`, so element indices are the same as in the underlying segment.  Checksums are computed over the filtered elements, so they match what a client of the view sees.
+ */
+class SegmentView {
+
+	#segment;
+	#filter;
+
+	/**
+	 * Creates a new SegmentView
+	 * @param {Segment} segment - The segment to view.
+	 * @param {function(Element): boolean} [filter] - Returns true for elements that should be visible.  Defaults to showing every element.
+	 * @throws {Error} If segment is not a Segment.
+	 */
+	constructor(segment, filter = () => true) {
+
+		if (!(segment instanceof Segment)) { throw new Error("A valid Segment instance must be provided to the SegmentView constructor."); }
+		if (typeof filter !== 'function') { throw new Error("SegmentView filter must be a function."); }
+
+		this.#segment = segment;
+		this.#filter = filter;
+	}
+
+	get segment() { return this.#segment; }
+	get name() { return this.#segment.name; }
+
+	/**
+	 * The elements of the segment, with `null` in place of elements that are filtered out
+	 * @returns {Array<Element|null>} The visible elements.
+	 */
+	get elements() { return this.#segment.elements.map(e => (e !== null && this.#filter(e)) ? e : null); }
+
+	/**
+	 * The assets paired with visible elements
+	 * @returns {Asset[]} The visible assets.
+	 */
+	get assets() { return this.elements.filter(e => e?.asset).map(e => e.asset); }
+
+	/**
+	 * Checksum of the visible elements, computed the same way as Segment.checksum
+	 * @returns {number} The checksum.
+	 */
+	get checksum() { return Segment.checksum_of(this.elements); }
+
+	/**
+	 * The rolled up condition of the visible elements, using the rollup policy of the underlying segment
+	 * @returns {ElementCondition} The condition.
+	 */
+	get condition() { return this.#segment.rollup.rollup(this.elements.filter(e => e !== null).map(e => e.effective_condition)); }
+
+	/**
+	 * Check whether an element is visible in this view
+	 * @param {Element|null} element - The element.
+	 * @returns {boolean} True if the element is visible.
+	 */
+	shows(element) { return element !== null && element !== undefined && this.#filter(element); }
+
+	/**
+	 * Find an asset that is visible in this view
+	 * @param {string} id - The ID of the asset to find.
+	 * @returns {Asset|null} The asset if it is visible, otherwise null.
+	 */
+	find_asset(id) {
+		const asset = this.#segment.find_asset(id);
+		return (asset && this.assets.includes(asset)) ? asset : null;
+	}
+
+	/**
+	 * Statistics about the visible elements
+	 * @returns {object} Same as Segment.stats(), for the visible elements only.
+	 */
+	stats() {
+		return {
+			name: this.name,
+			condition: this.condition.toObject(),
+			...ConditionRollup.tally(this.elements.filter(e => e !== null).map(e => e.effective_condition))
+		};
+	}
+
+	/**
+	 * Render the visible elements
+	 * 
+	 * @param {string} [format='text'] - The format to render the segment in, defaults to 'text'.
+	 * @returns {*} The rendered segment in the specified format.
+	 */
+	render(format = 'text') {
+
+		const elements = this.elements;
+		switch(format) {
+
+			case 'text':
+				return `Segment: ${this.name}\n` + elements.map((e, n) => e ? `Element ${n}: ${e.render('text')}\n` : '').join('');
+			case 'object':
+				return {
+					name: this.name,
+					elements: elements.map(e => e ? e.render('object') : null)
+				};
+			default:
+				throw new Error(`Unknown format '${format}' for rendering segment.`);
+		}
+	}
+}
+
+module.exports = SegmentView;
@@ -0,0 +1,106 @@
+/**
+ * @class TrendForecaster
+ * @description Derives an element's trend by forecasting its condition a while ahead.
+ *
+ * Each of the element's inputs (see Element.inputs) that keeps a history (see Notion.keep_history()) is extrapolated along its recent slope to `horizon` seconds from now, and the element assesses that projected state with its own condition function (see Element.assess()).  The trend is the condition it comes up with.
+ * For example, soc dropping 1%/min with a 50% minimum and 10 minutes to go gives a `red` trend with any horizon over 10 minutes.
+ *
+ * Inputs without a history, or without a slope, keep their current value.  The projected inputs are taken to be fresh, so that a horizon longer than a `max_age` doesn't forecast trouble just because the next update hasn't arrived yet.
+ */
+class TrendForecaster {
+
+	#horizon;
+	#window;
+
+	/**
+	 * Creates a new TrendForecaster
+	 * @param {object} [obj={}] - Configuration object, e.g. the `trend` key of an element config.
+	 * @param {number} obj.horizon - How far ahead to forecast, in seconds.
+	 * @param {number} [obj.window] - How many seconds of history the slopes are taken over.  Defaults to the horizon.
+	 * @throws {Error} If the horizon or window is invalid.
+	 */
+	constructor(obj = {}) {
+
+		if (typeof obj.horizon !== 'number' || !(obj.horizon > 0)) { throw new Error("Trend horizon must be a positive number of seconds."); }
+		if (obj.window !== undefined && (typeof obj.window !== 'number' || !(obj.window > 0))) { throw new Error("Trend window must be a positive number of seconds."); }
+
+		this.#horizon = obj.horizon;
+		this.#window = obj.window ?? obj.horizon;
+	}
+
+	/**
+	 * Schema for trend config (see ConfigSchema)
+	 * @returns {object} A schema node.
+	 * @static
+	 */
+	static get config_schema() {
+		return {
+			type: 'object',
+			properties: {
+				horizon: { type: 'number', required: true },
+				window: { type: 'number' }
+			},
+			validate: (value) => { try { new TrendForecaster(value); } catch (e) { return e.message; } }
+		};
+	}
+
+	get horizon() { return this.#horizon; }
+	get window() { return this.#window; }
+
+	/**
+	 * Extrapolate a notion along its recent slope
+	 *
+	 * @param {Notion} notion - The notion.
+	 * @param {number} now - The current time in milliseconds since the epoch.
+	 * @param {number} at - The time to project to, in milliseconds since the epoch.
+	 * @returns {number|undefined} The projected value, or undefined if the notion has no history or no slope.
+	 */
+	project(notion, now, at) {
+
+		if (!notion?.history_options) { return undefined; }
+
+		const slope = notion.slope(now - this.#window * 1000, now);
+		if (slope === null) { return undefined; }
+
+		const last = notion.range(undefined, now).pop();
+		return Number(last.value) + slope * (at - last.timestamp.getTime()) / 1000;
+	}
+
+	/**
+	 * Forecast the condition of an element at the horizon
+	 *
+	 * @param {Element} element - The element, which must be paired and able to .assess().
+	 * @param {number} [now] - The current time in milliseconds since the epoch.  Defaults to the element's scheduler clock.
+	 * @returns {string} The forecast condition, or 'unknown' if there is nothing to extrapolate or the element can't assess a projected state.
+	 */
+	forecast(element, now = element.scheduler.now()) {
+
+		const asset = element.asset;
+		if (!asset) { return 'unknown'; }
+
+		const at = now + this.#horizon * 1000;
+		let projected = new Map();
+		for (let name of element.inputs) {
+			const value = this.project(asset.get_notion(name), now, at);
+			if (value !== undefined) { projected.set(name, value); }
+		}
+		if (projected.size === 0) { return 'unknown'; }
+
+		// An asset-like view of the projected state
+		const inputs = new Set(element.inputs);
+		const view = {
+			id: asset.id,
+			p: (name) => projected.has(name) ? projected.get(name) : asset.p(name),
+			get_notion: (name) => {
+				const notion = asset.get_notion(name);
+				if (!notion) { return undefined; }
+				return { name, value: view.p(name), timestamp: inputs.has(name) ? new Date(at) : notion.timestamp };
+			}
+		};
+
+		const condition = element.assess(view, at);
+		return condition ? condition.condition : 'unknown';
+	}
+}
+
+module.exports = TrendForecaster;
@@ -0,0 +1,16 @@
+const Element = require('../../lib/Element');
+const Segment = require('../../lib/Segment');
+
+/**
+ * A plugin as a team might publish it, for testing ClassRegistry.load_plugin()
+ */
+class BatteryElement extends Element {
+	static get config_schema() { return { ...super.config_schema, cells: { type: 'number', required: true } }; }
+}
+
+class DepotSegment extends Segment {}
+
+module.exports = {
+	name: 'battery-plugin',
+	classes: [BatteryElement, { Class: DepotSegment, kind: 'segment', name: 'Depot' }]
+};
@@ -1,5 +1,8 @@
 const assert = require('assert');
 const Asset = require('../lib/Asset');
+const Notion = require('../lib/Notion');
+const fs = require('fs');
+const path = require('path');
 
 describe('Asset', () => {
 	describe('constructor', () => {
@@ -172,6 +175,162 @@ describe('Asset', () => {
 		});
 	});
 
+	describe('set_with_object timestamps', () => {
+
+		const larry = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'larry.json'), 'utf8'));
+		let asset;
+		beforeEach(() => {
+			asset = new Asset({ id: 'larry', name: undefined, connected: undefined, mqtt: undefined, last_seen: undefined });
+		});
+
+		it('should stamp every value with one payload-wide path', () => {
+			asset.set_with_object(larry, { timestamp: 'last_seen.timestamp' });
+			assert.strictEqual(asset.get_notion('name').timestamp.toISOString(), '2025-05-30T16:46:57.792Z');
+			assert.strictEqual(asset.get_notion('mqtt').timestamp.toISOString(), '2025-05-30T16:46:57.792Z');
+		});
+
+		it('should stamp values with paths per notion, and the current time otherwise', () => {
+			const before = Date.now();
+			asset.set_with_object(larry, { timestamp: { connected: 'connection_info.connect_time', last_seen: 'last_seen.timestamp', mqtt: 'connection_info.disconnect_time' } });
+			assert.strictEqual(asset.get_notion('connected').timestamp.toISOString(), '2025-05-30T15:30:57.675Z');
+			assert.strictEqual(asset.get_notion('last_seen').timestamp.toISOString(), '2025-05-30T16:46:57.792Z');
+			assert.ok(asset.get_notion('name').timestamp.getTime() >= before, 'No path');
+			assert.ok(asset.get_notion('mqtt').timestamp.getTime() >= before, 'Path is null in the payload');
+		});
+
+		it('should use the resolver with reverse_deep_search', () => {
+			const soc = new Asset({ id: 'larry', 'mqtt_v2.soc.value': undefined });
+			soc.set_with_object(larry, { reverse_deep_search: true, timestamp: { 'mqtt_v2.soc.value': 'mqtt_v2.soc.updated' } });
+			assert.strictEqual(soc.p('mqtt_v2.soc.value'), '90');
+			assert.strictEqual(soc.get_notion('mqtt_v2.soc.value').timestamp.toISOString(), '2025-05-30T16:47:39.801Z');
+		});
+
+		it('should still accept the reverse_deep_search flag on its own', () => {
+			const soc = new Asset({ id: 'larry', 'mqtt.soc': undefined });
+			soc.set_with_object(larry, true);
+			assert.strictEqual(soc.p('mqtt.soc'), '90');
+		});
+
+		it('should throw for an invalid resolver', () => {
+			assert.throws(() => asset.set_with_object(larry, { timestamp: ['last_seen.timestamp'] }), /Timestamp resolver must be an object-path string/);
+		});
+	});
+
+	describe('ordering and diagnostics', () => {
+		const at = (s) => `2025-06-01T00:00:${s}Z`;
+
+		it('should apply the ordering policy to every notion, including ones added later', () => {
+			const asset = new Asset({ id: 'a1', soc: undefined });
+			asset.ordering = 'newest';
+			asset.add_notion(new Notion('rssi'));
+			assert.strictEqual(asset.get_notion('soc').ordering, 'newest');
+			assert.strictEqual(asset.get_notion('rssi').ordering, 'newest');
+			assert.throws(() => { asset.ordering = 'oldest'; }, /Invalid ordering policy 'oldest'/);
+		});
+
+		it('should count ignored, rejected and invalid writes', () => {
+			const asset = new Asset({ id: 'a1', soc: undefined, rssi: undefined });
+			asset.ordering = 'newest';
+			asset.get_notion('rssi').ordering = 'reject';
+			asset.get_notion('soc').type = { type: 'number', maximum: 100 };
+
+			asset.set_value('soc', 90, at('10'));
+			assert.strictEqual(asset.set_value('soc', 80, at('05')), false);
+			asset.set_value('soc', 120, at('20'));
+			asset.set_value('rssi', -50, at('10'));
+			asset.set_value('rssi', -60, at('05'));
+			asset.set_value('rssi', -70, at('01'));
+
+			assert.deepStrictEqual(asset.diagnostics, {
+				ignored: 1, rejected: 2, invalid: 1,
+				notions: { soc: { ignored: 1, rejected: 0, invalid: 1 }, rssi: { ignored: 0, rejected: 2, invalid: 0 } }
+			});
+		});
+
+		it('should stop counting a notion once it is replaced', () => {
+			const asset = new Asset({ id: 'a1' });
+			const old = new Notion('soc', undefined, undefined, { ordering: 'reject' });
+			asset.add_notion(old);
+			asset.add_notion(new Notion('soc'));
+			old.set_value(90, new Date(at('10')));
+			old.set_value(80, new Date(at('05')));
+			assert.strictEqual(asset.diagnostics.rejected, 0);
+			assert.strictEqual(old.listenerCount('rejected'), 0);
+		});
+	});
+
+	describe('changed events and watch', () => {
+
+		it('should emit one changed event per set_with_object', () => {
+			const asset = new Asset({ id: 'larry', soc: 90, charging: false, name: 'Larry' });
+			let events = [];
+			asset.on('changed', (e) => events.push(e));
+
+			asset.set_with_object({ soc: 85, charging: true, other: 1 });
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].asset, asset);
+			assert.deepStrictEqual(events[0].notions, ['soc', 'charging']);
+			assert.strictEqual(events[0].changes.soc.new_value, 85);
+
+			asset.set_value('name', 'Larry II');
+			assert.strictEqual(events.length, 2, 'Single writes emit too');
+			assert.deepStrictEqual(events[1].notions, ['name']);
+		});
+
+		it('should emit for what changed before a write failed', () => {
+			const asset = new Asset({ id: 'larry', soc: 90, charging: false });
+			let events = [];
+			asset.on('changed', (e) => events.push(e));
+			assert.throws(() => asset.set_with_object({ soc: 85, charging: true, stamp: 'yesterday' }, { timestamp: { charging: 'stamp' } }));
+			assert.strictEqual(events.length, 1);
+			assert.deepStrictEqual(events[0].notions, ['soc']);
+		});
+
+		it('should coalesce declared class payloads into one event', () => {
+			const Bot = Asset.define({ name: 'Bot', notions: { soc: 'mqtt.soc', charging: 'mqtt.charging' }, position: { lat: 'lat', lon: 'lon' } });
+			const bot = new Bot({ id: 'larry' });
+			let events = [];
+			bot.on('changed', (e) => events.push(e.notions));
+			bot.set_with_object({ mqtt: { soc: 90, charging: true }, lat: 44.5, lon: -123.3 });
+			assert.deepStrictEqual(events, [['soc', 'charging', 'position']]);
+		});
+
+		it('should call watchers once per batch with only the watched notions', () => {
+			const asset = new Asset({ id: 'larry', soc: 90, charging: false, name: 'Larry' });
+			let calls = [];
+			const unwatch = asset.watch(['soc', 'charging'], (e) => calls.push(e));
+
+			asset.set_with_object({ soc: 85, charging: true, name: 'Larry II' });
+			asset.set_value('name', 'Larry III');
+			assert.strictEqual(calls.length, 1);
+			assert.deepStrictEqual(calls[0].notions, ['soc', 'charging']);
+			assert.deepStrictEqual(Object.keys(calls[0].changes), ['soc', 'charging']);
+			assert.strictEqual(calls[0].changes.charging.old_value, undefined);
+
+			unwatch();
+			asset.set_value('soc', 80);
+			assert.strictEqual(calls.length, 1);
+			assert.strictEqual(asset.listenerCount('changed'), 0);
+		});
+
+		it('should watch notions added or replaced later', () => {
+			const asset = new Asset({ id: 'larry' });
+			let calls = 0;
+			asset.watch('soc', () => calls++);
+			asset.add_notion(new Notion('soc'));
+			asset.set_value('soc', 90);
+			asset.add_notion(new Notion('soc'));
+			asset.set_value('soc', 80);
+			assert.strictEqual(calls, 2);
+		});
+
+		it('should throw for invalid watches', () => {
+			const asset = new Asset({ id: 'larry' });
+			assert.throws(() => asset.watch([1], () => {}), /Watched notion names must be strings/);
+			assert.throws(() => asset.watch('soc'), /Watch callback must be a function/);
+		});
+	});
+
 	describe('toObject', () => {
 		it('should generate correct JSON representation', () => {
 			const asset = new Asset({
@@ -208,4 +367,99 @@ describe('Asset', () => {
 		});
 
 	});
+
+	describe('snapshot', () => {
+		it('should round trip through from_snapshot()', () => {
+			class Bot extends Asset {}
+			const asset = new Bot({ id: 'larry', soc: undefined, name: 'Larry' });
+			asset.set_value('soc', 90, '2025-05-30T16:47:39.801Z');
+
+			const snapshot = JSON.parse(JSON.stringify(asset.snapshot()));
+			assert.strictEqual(snapshot.class, 'Bot', 'Class name is recorded');
+
+			const restored = Bot.from_snapshot(snapshot);
+			assert.ok(restored instanceof Bot, 'Restored with the class it was called on');
+			assert.strictEqual(restored.id, 'larry');
+			assert.strictEqual(restored.p('soc'), 90);
+			assert.strictEqual(restored.get_notion('soc').timestamp.toISOString(), '2025-05-30T16:47:39.801Z');
+			assert.strictEqual(restored.p('name'), 'Larry', 'Unset notions are restored as defaults');
+			assert.strictEqual(restored.get_notion('name').timestamp, undefined);
+		});
+
+		it('should throw for an invalid snapshot', () => {
+			assert.throws(() => Asset.from_snapshot({ id: 'x' }), /Asset snapshot must be an object with a notions array/);
+		});
+	});
+	describe('define', () => {
+
+		const larry = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'larry.json'), 'utf8'));
+		const declaration = {
+			name: 'Bot',
+			notions: {
+				name: 'name',
+				soc: { source: 'mqtt_v2.soc.value', timestamp: 'mqtt_v2.soc.updated', type: 'number' },
+				charging: { source: 'mqtt.charging', type: 'boolean', default: false }
+			},
+			position: { lat: 'last_seen.lat', lon: 'last_seen.lon', alt: 'last_seen.alt', timestamp: 'last_seen.timestamp' }
+		};
+
+		it('should make a named subclass with the declared notions and defaults', () => {
+			const Bot = Asset.define(declaration);
+			const bot = new Bot({ id: 'larry' });
+			assert.ok(bot instanceof Asset);
+			assert.strictEqual(bot.toString(), 'Bot{id=larry}');
+			assert.deepStrictEqual(bot.notion_names, ['name', 'soc', 'charging', 'position']);
+			assert.strictEqual(bot.p('charging'), false);
+			assert.strictEqual(bot.get_notion('soc').type.type, 'number');
+			assert.deepStrictEqual(Bot.declaration, declaration);
+		});
+
+		it('should ingest payloads from source paths with their timestamps', () => {
+			const bot = new (Asset.define(declaration))({ id: 'larry' });
+			bot.set_with_object(larry);
+			assert.strictEqual(bot.p('name'), 'Larry');
+			assert.strictEqual(bot.p('soc'), 90);
+			assert.strictEqual(bot.get_notion('soc').timestamp.toISOString(), '2025-05-30T16:47:39.801Z');
+			assert.strictEqual(bot.p('charging'), false);
+			assert.deepStrictEqual(bot.position, { lat: larry.last_seen.lat, lon: larry.last_seen.lon, alt: larry.last_seen.alt });
+			assert.deepStrictEqual(bot.position_notions, ['position']);
+			assert.strictEqual(bot.get_notion('position').timestamp.toISOString(), '2025-05-30T16:46:57.792Z');
+
+			bot.set_with_object({ mqtt: { charging: '1' }, name: 'Larry', seen: '2025-06-01T00:00:00Z' }, { timestamp: 'seen' });
+			assert.strictEqual(bot.get_notion('name').timestamp.toISOString(), '2025-06-01T00:00:00.000Z', 'Resolver for notions without a declared path');
+			assert.strictEqual(bot.p('charging'), true);
+			assert.strictEqual(bot.p('soc'), 90, 'Missing sources are left alone');
+		});
+
+		it('should inherit notions when extending a defined class', () => {
+			const Bot = Asset.define(declaration);
+			const Rover = Bot.define({ name: 'Rover', notions: { rssi: { source: 'mqtt.rssi', type: 'integer' } } });
+			const rover = new Rover({ id: 'moe' });
+			rover.set_with_object(larry);
+			assert.ok(rover instanceof Bot);
+			assert.strictEqual(rover.p('rssi'), -52);
+			assert.strictEqual(rover.p('soc'), 90);
+			assert.ok(rover.position);
+		});
+
+		it('should apply declared ordering policies', () => {
+			const Bot = Asset.define({ ...declaration, ordering: 'reject', notions: { ...declaration.notions, name: { source: 'name', ordering: 'last_write' } } });
+			const bot = new Bot({ id: 'larry' });
+			assert.strictEqual(bot.ordering, 'reject');
+			assert.strictEqual(bot.get_notion('soc').ordering, 'reject');
+			assert.strictEqual(bot.get_notion('name').ordering, 'last_write', 'Notions can override the class');
+			assert.strictEqual(Bot.define({ name: 'Rover' }).declared_ordering, 'reject');
+		});
+
+		it('should throw for invalid declarations', () => {
+			assert.throws(() => Asset.define({ name: 'my bot' }), /Asset class name must be a valid identifier/);
+			assert.throws(() => Asset.define({ name: 'Bot', colour: 'red' }), /Unknown key 'colour' in asset class 'Bot'/);
+			assert.throws(() => Asset.define({ name: 'Bot', notions: { soc: { path: 'mqtt.soc' } } }), /Unknown key 'path' for notion 'soc'/);
+			assert.throws(() => Asset.define({ name: 'Bot', notions: { soc: { type: 'float' } } }), /Notion 'soc' of asset class 'Bot': Invalid notion type 'float'/);
+			assert.throws(() => Asset.define({ name: 'Bot', notions: { id: 'uuid' } }), /can't declare an 'id' notion/);
+			assert.throws(() => Asset.define({ name: 'Bot', position: { lat: 'lat' } }), /must have 'lat' and 'lon' paths/);
+			assert.throws(() => Asset.define({ name: 'Bot', ordering: 'oldest' }), /Invalid ordering policy 'oldest' for asset class 'Bot'/);
+		});
+	});
+
 });
\ No newline at end of file
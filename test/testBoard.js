@@ -4,8 +4,10 @@ const Asset = require('../lib/Asset');
 const Segment = require('../lib/Segment');
 const GeoSegment = require('../lib/GeoSegment');
 const Element = require('../lib/Element');
+const ElementCondition = require('../lib/ElementCondition');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 
 describe('Board', () => {
 
@@ -109,6 +111,37 @@ describe('Board', () => {
 			}, /Asset to element mapping must be an array of objects with 'asset' and 'element' properties as strings/, 'Invalid mapping throws error');
 		});
 		
+		it('should use the first matching rule and pass its params', () => {
+			class Bot extends Asset {}
+			class Rover extends Bot {}
+			class BotElement extends Element {
+				constructor(obj = {}) { super(obj); this.colour = obj.colour; }
+			}
+			class BotElementV5 extends BotElement {}
+
+			const board = new Board({
+				asset_to_element: [
+					{ asset_inherits: 'Bot', when: { 'version.daxos': { minimum: 5 } }, element: 'BotElementV5', params: { colour: 'blue' } },
+					{ asset_match: '^(Bot|Rover)$', element: 'BotElement', params: { colour: 'grey' } }
+				]
+			}, { Bot, Rover, BotElement, BotElementV5 });
+
+			const old = board.element_factory(new Rover({ id: 'moe', version: { daxos: '4.6.0' } }));
+			assert.strictEqual(old.constructor, BotElement);
+			assert.strictEqual(old.colour, 'grey');
+
+			const v5 = board.element_factory(new Rover({ id: 'larry', version: { daxos: '5.12.0' } }));
+			assert.strictEqual(v5.constructor, BotElementV5);
+			assert.strictEqual(v5.colour, 'blue');
+
+			assert.strictEqual(board.element_factory(new Asset({ id: 'crate' })).constructor, Element, 'Default element');
+		});
+
+		it('should explain why no rule matched when there is no default', () => {
+			const board = new Board({ asset_to_element: [{ asset: 'Bot', element: 'Element' }], asset_to_element_default: null });
+			assert.throws(() => board.element_factory(new Asset({ id: 'crate' })), /No asset_to_element rule matched Asset\{id=crate\}; rule 0 \(asset 'Bot' → Element\): class 'Asset' is not 'Bot'\./);
+		});
+
 		it('should handle empty asset-to-element mappings', () => {
 			const config = {
 				asset_to_element: []
@@ -253,6 +286,800 @@ describe('Board', () => {
 		});
 	});
 
+	describe('condition and stats', () => {
+
+		class FlagElement extends Element {
+			#flag = 'green';
+			get condition() { return new ElementCondition(this.#flag, this.#flag == 'green' ? 'green' : 'unknown'); }
+			get summary() { return `${super.summary}:${this.#flag}`; }
+			set flag(value) { this.#flag = value; this.dirty(); }
+		}
+
+		let board;
+		beforeEach(() => {
+			board = new Board({
+				asset_to_element: [{ asset: 'Asset', element: 'FlagElement' }],
+				segments: [
+					{ name: 'Segment 1' },
+					{ name: 'Segment 2' },
+					{ name: 'Segment 3' }
+				]
+			}, { FlagElement });
+
+			for (let id of ['a', 'b', 'c', 'd']) { board.segments[id == 'd' ? 1 : 0].add_asset(new Asset({ id })); }
+		});
+
+		it('should roll up segment conditions, leaving out empty segments', () => {
+			assert.strictEqual(board.condition.condition, 'green');
+			board.segments[1].elements[0].flag = 'yellow';
+			assert.strictEqual(board.condition.condition, 'yellow');
+			board.segments[0].elements[2].flag = 'red';
+			assert.strictEqual(board.condition.condition, 'red');
+		});
+
+		it('should use the rollup policy from the board config', () => {
+			board = new Board({ rollup: { policy: 'threshold', thresholds: { red: 50 } }, segments: [{ name: 'S1' }, { name: 'S2' }, { name: 'S3' }] }, { FlagElement });
+			assert.strictEqual(board.condition.condition, 'unknown');
+		});
+
+		it('should leave out segments that only have empty static slots', () => {
+			board = new Board({
+				rollup: { policy: 'threshold', thresholds: { red: 5 } },
+				segments: [
+					{ name: 'Dock', elements: [{ class: 'RequirementElement', requirements: { soc: { minimum: 50 } } }] },
+					{ name: 'Everywhere else' }
+				]
+			});
+			board.segments[1].add_asset(new Asset({ id: 'a' }));
+			assert.strictEqual(board.segments[0].condition.condition, 'unknown');
+			assert.strictEqual(board.condition.condition, 'green');
+		});
+
+		it('should count conditions and trends per segment and in total', () => {
+			board.segments[0].elements[0].flag = 'red';
+			const stats = board.stats();
+
+			assert.deepStrictEqual(stats.condition, { type: 'ElementCondition', condition: 'red', trend: 'green', message: '50% green (1 of 2)' });
+			assert.strictEqual(stats.totals.count, 4);
+			assert.deepStrictEqual(stats.totals.conditions, { green: 3, unknown: 0, yellow: 0, red: 1 });
+			assert.deepStrictEqual(stats.totals.trends, { green: 3, unknown: 1, yellow: 0, red: 0 });
+			assert.deepStrictEqual(stats.totals.percentages.conditions, { green: 75, unknown: 0, yellow: 0, red: 25 });
+
+			assert.strictEqual(stats.segments.length, 3);
+			assert.strictEqual(stats.segments[0].segment_index, 0);
+			assert.strictEqual(stats.segments[0].name, 'Segment 1');
+			assert.strictEqual(stats.segments[0].count, 3);
+			assert.strictEqual(stats.segments[0].percentages.conditions.red, 33.3);
+			assert.strictEqual(stats.segments[0].condition.condition, 'red');
+			assert.strictEqual(stats.segments[2].count, 0);
+			assert.strictEqual(stats.segments[2].condition.condition, 'unknown');
+		});
+	});
+
+	describe('re-homing', () => {
+
+		class Bot extends Asset {
+			get position() { return this.p('position') || null; }
+			get position_notions() { return ['position']; }
+		}
+
+		const philomath = { lat: 44.5435, lon: -123.359, alt: 80 };
+		const elsewhere = { lat: 44.539, lon: -123.3708, alt: 80 };
+
+		let board;
+		beforeEach(() => {
+			const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+			board = new Board(config, { Bot });
+		});
+
+		it('should move an asset to another segment when its position changes', (done) => {
+			const larry = new Bot({ id: 'larry', position: elsewhere, soc: 90 });
+			board.add_asset(larry);
+			assert.strictEqual(board.find_asset('larry')[0].name, 'Corvallis HQ');
+
+			board.on('asset_moved', (event) => {
+				assert.strictEqual(event.asset, larry);
+				assert.strictEqual(event.from.name, 'Corvallis HQ');
+				assert.strictEqual(event.to.name, 'Philomath HQ');
+				assert.strictEqual(board.find_asset('larry')[0], event.to);
+				assert.deepStrictEqual(board.segments[1].elements, [null], 'Old element is pruned');
+				assert.strictEqual(board.segments[0].elements[0].asset, larry, 'Asset pairs with the static element');
+				done();
+			});
+			larry.set_value('position', philomath);
+		});
+
+		it('should only re-home once for several changes in the same tick', (done) => {
+			const larry = new Bot({ id: 'larry', position: elsewhere });
+			board.add_asset(larry);
+
+			let moves = 0;
+			board.on('asset_moved', () => moves++);
+			larry.set_value('position', philomath);
+			larry.set_value('position', elsewhere);
+			larry.set_value('position', philomath);
+
+			setImmediate(() => {
+				assert.strictEqual(moves, 1);
+				done();
+			});
+		});
+
+		it('should leave an asset where it was and report it if it cannot be re-homed', (done) => {
+			const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+			board = new Board({ ...config, asset_to_element_default: null, asset_to_element: [{ element: 'Element', when: { soc: { minimum: 50 } } }] }, { Bot });
+			board.add_asset(new Bot({ id: 'moe', position: philomath, soc: 90 })); // Takes the static element
+			const larry = new Bot({ id: 'larry', position: elsewhere, soc: 90 });
+			board.add_asset(larry);
+			const element = board.find_asset('larry')[0].find_element('larry');
+
+			board.on('asset_moved', () => done(new Error('Should not have moved')));
+			board.on('rehome_failed', (event) => {
+				assert.strictEqual(event.asset, larry);
+				assert.strictEqual(event.segment.name, 'Corvallis HQ');
+				assert.match(event.error.message, /No asset_to_element rule matched/);
+				assert.strictEqual(board.find_asset('larry')[0], event.segment);
+				assert.strictEqual(event.segment.find_element('larry'), element);
+				assert.strictEqual(element.asset, larry);
+				assert.strictEqual(board.segments[0].find_asset('larry'), null, 'Not half added to the new segment');
+				done();
+			});
+			larry.set_with_object({ soc: 10, position: philomath });
+		});
+
+		it('should not move an asset that still belongs where it is', () => {
+			const larry = new Bot({ id: 'larry', position: philomath });
+			board.add_asset(larry);
+			larry.set_value('position', { ...philomath, alt: 90 });
+			assert.strictEqual(board.rehome('larry'), false);
+			assert.strictEqual(board.find_asset('larry')[0].name, 'Philomath HQ');
+		});
+
+		it('should only watch notions that feed membership', () => {
+			const larry = new Bot({ id: 'larry', position: elsewhere, soc: 90 });
+			let watched = [];
+			const watch = larry.watch.bind(larry);
+			larry.watch = (names, fn) => { watched.push(names); return watch(names, fn); };
+			board.add_asset(larry);
+			assert.deepStrictEqual(watched, [['position']]);
+			assert.strictEqual(larry.listenerCount('changed'), 1);
+		});
+
+		it('should stop watching an asset when it is removed', () => {
+			const larry = new Bot({ id: 'larry', position: elsewhere });
+			board.add_asset(larry);
+			board.remove_asset('larry');
+			assert.strictEqual(larry.listenerCount('changed'), 0);
+		});
+	});
+
+	describe('snapshot and restore', () => {
+
+		class Bot extends Asset {}
+		const config = {
+			segments: [
+				{ name: 'Segment 1', elements: [{ class: 'Element' }] },
+				{ name: 'Segment 2' }
+			]
+		};
+
+		let board;
+		beforeEach(() => {
+			board = new Board(structuredClone(config), { Bot });
+			for (let id of ['a', 'b', 'c', 'd']) { board.segments[0].add_asset(new Bot({ id, soc: undefined, name: id.toUpperCase() })); }
+			board.segments[1].add_asset(new Asset({ id: 'e' }));
+			board.remove_asset('b');
+			board.find_asset('c')[1].set_value('soc', 42, new Date('2025-05-30T16:47:39.801Z'));
+		});
+
+		it('should snapshot element slots, pairings and notions', () => {
+			const snapshot = board.snapshot();
+			assert.strictEqual(snapshot.version, 1);
+			assert.deepStrictEqual(snapshot.segments[0].elements, [
+				{ class: 'Element', static: true, asset: 'a' },
+				null,
+				{ class: 'Element', static: false, asset: 'c' },
+				{ class: 'Element', static: false, asset: 'd' }
+			]);
+			assert.strictEqual(snapshot.segments[0].checksum, board.segments[0].checksum);
+			assert.deepStrictEqual(snapshot.assets.find(a => a.id == 'c'), {
+				id: 'c',
+				class: 'Bot',
+				notions: [
+					{ name: 'soc', value: 42, timestamp: '2025-05-30T16:47:39.801Z' },
+					{ name: 'name', value: 'C', timestamp: null }
+				]
+			});
+		});
+
+		it('should restore the same layout, indices and checksums', () => {
+			const snapshot = JSON.parse(JSON.stringify(board.snapshot()));
+			const restored = new Board(structuredClone(config), { Bot });
+			restored.restore(snapshot);
+
+			assert.deepStrictEqual(JSON.parse(JSON.stringify(restored.snapshot())), { ...snapshot, seq: snapshot.seq + 1 }, 'The restore itself is one more change event');
+			assert.strictEqual(restored.segments[0].checksum, board.segments[0].checksum);
+			assert.strictEqual(restored.segments[1].checksum, board.segments[1].checksum);
+			assert.strictEqual(restored.segments[0].elements[1], null);
+
+			const [segment, asset] = restored.find_asset('c');
+			assert.strictEqual(segment, restored.segments[0]);
+			assert.ok(asset instanceof Bot);
+			assert.strictEqual(asset.p('soc'), 42);
+			assert.strictEqual(asset.get_notion('soc').timestamp.toISOString(), '2025-05-30T16:47:39.801Z');
+			assert.strictEqual(restored.segments[0].elements[2].asset, asset);
+		});
+
+		it('should fill holes as usual after restoring', () => {
+			const restored = new Board(structuredClone(config), { Bot });
+			restored.restore(board.snapshot());
+			restored.segments[0].add_asset(new Bot({ id: 'f' }));
+			assert.strictEqual(restored.segments[0].elements[1].asset.id, 'f');
+		});
+
+		it('should refuse to restore into a board with assets or a different config', () => {
+			const snapshot = board.snapshot();
+			assert.throws(() => board.restore(snapshot), /must not have any assets/);
+			assert.throws(() => new Board({ segments: [{ name: 'Other' }] }, { Bot }).restore(snapshot), /do not match the board segments/);
+			assert.throws(() => new Board(structuredClone(config)).restore(snapshot), /Unable to find asset class 'Bot'/);
+
+			const no_statics = { segments: [{ name: 'Segment 1' }, { name: 'Segment 2' }] };
+			assert.throws(() => new Board(no_statics, { Bot }).restore(snapshot), /no static element left/);
+		});
+	});
+
+	describe('validate_config', () => {
+
+		let config;
+		beforeEach(() => {
+			config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+		});
+
+		it('should accept board.conf', () => {
+			assert.deepStrictEqual(Board.validate_config(config), []);
+		});
+
+		it('should report every problem at once with JSON paths', () => {
+			delete config.segments[0].boundary.type;
+			config.segments[0].colour = 'red';
+			config.segments[1].elements = [{ class: 'Element' }, { class: 'Bott' }];
+			config.segments.push({ class: 'GeoSegment', name: 'Nowhere' });
+			config.min_event_seconds = '5';
+
+			assert.deepStrictEqual(Board.validate_config(config), [
+				'min_event_seconds must be a number',
+				'segments[0].boundary.type missing',
+				'segments[0].colour unknown key',
+				"segments[1].elements[1].class 'Bott' not registered",
+				'segments[2].boundary missing'
+			]);
+		});
+
+		it('should check asset_to_element and delegate to class validation', () => {
+			config.asset_to_element = [{ asset: 'Bot', element: 'Segment' }];
+			config.segments[0].elements[0].requirements.soc.severity = 'blue';
+			config.segments[1].rollup = { policy: 'best' };
+
+			assert.deepStrictEqual(Board.validate_config(config), [
+				"asset_to_element[0].element 'Segment' does not inherit from Element",
+				"segments[0].elements[0].requirements: Requirement severity for 'soc' must be 'red' or 'yellow'.",
+				'segments[1].rollup.policy must be one of worst, threshold',
+				"segments[1].rollup: Invalid rollup policy 'best'. Valid policies are: worst, threshold"
+			]);
+		});
+
+		it('should reject an unless clause that is not an object', () => {
+			config.segments[0].elements[0].requirements.soc.unless = ['charging'];
+
+			assert.deepStrictEqual(Board.validate_config(config), ["segments[0].elements[0].requirements: Requirement 'unless' for 'soc' must be an object."]);
+		});
+
+		it('should use schema fragments from custom classes', () => {
+			class BotElement extends Element {
+				static get config_schema() { return { ...super.config_schema, colour: { type: 'string', required: true } }; }
+			}
+			config.segments[1].elements = [{ class: 'BotElement', colour: 'red' }, { class: 'BotElement' }];
+
+			assert.deepStrictEqual(Board.validate_config(config, { BotElement }), ['segments[1].elements[1].colour missing']);
+		});
+	});
+
+	describe('reconfigure', () => {
+
+		class Bot extends Asset {
+			get position() { return this.p('position') || null; }
+			get position_notions() { return ['position']; }
+		}
+		const philomath = { lat: 44.5435, lon: -123.359, alt: 80 };
+		const elsewhere = { lat: 44.539, lon: -123.3708, alt: 80 };
+
+		let config, board;
+		beforeEach(() => {
+			config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+			config.min_event_seconds = 0.1;
+			board = new Board(structuredClone(config), { Bot });
+			board.add_asset(new Bot({ id: 'larry', position: philomath }));
+			board.add_asset(new Bot({ id: 'moe', position: elsewhere }));
+		});
+
+		it('should keep unchanged segments as they are', () => {
+			const [philomath_hq, corvallis_hq] = board.segments;
+			const report = board.reconfigure(structuredClone(config));
+			assert.deepStrictEqual(report, { added: [], updated: [], removed: [], moved: [], dropped: [] });
+			assert.strictEqual(board.segments[0], philomath_hq);
+			assert.strictEqual(board.segments[1], corvallis_hq);
+			assert.strictEqual(board.find_asset('larry')[0], philomath_hq);
+		});
+
+		it('should add segments and re-home assets that now belong there', () => {
+			config.segments.splice(1, 0, { name: 'Elsewhere', class: 'GeoSegment', boundary: { type: 'Polygon', coordinates: [[[-123.38, 44.53], [-123.36, 44.53], [-123.36, 44.55], [-123.38, 44.55], [-123.38, 44.53]]] } });
+
+			let moves = [];
+			board.on('asset_moved', (event) => moves.push(event));
+			const report = board.reconfigure(config);
+
+			assert.deepStrictEqual(report, { added: ['Elsewhere'], updated: [], removed: [], moved: ['moe'], dropped: [] });
+			assert.deepStrictEqual(board.segments.map(s => s.name), ['Philomath HQ', 'Elsewhere', 'Corvallis HQ']);
+			assert.strictEqual(board.find_asset('moe')[0].name, 'Elsewhere');
+			assert.strictEqual(moves.length, 1);
+			assert.deepStrictEqual(board.segments[2].elements, [null]);
+		});
+
+		it('should recreate updated segments and drop removed ones', () => {
+			config.segments[0].elements = [];
+			config.segments.pop();
+			const report = board.reconfigure(config);
+
+			assert.deepStrictEqual(report, { added: [], updated: ['Philomath HQ'], removed: ['Corvallis HQ'], moved: [], dropped: ['moe'] });
+			assert.strictEqual(board.segments.length, 1);
+			assert.strictEqual(board.find_asset('moe'), null);
+			assert.strictEqual(board.find_asset('larry')[0], board.segments[0]);
+			assert.strictEqual(board.segments[0].elements[0].static, false, 'Static element is gone');
+		});
+
+		it('should keep watching assets in their new segments', (done) => {
+			config.segments.reverse();
+			board.reconfigure(config);
+			assert.strictEqual(board.find_asset('larry')[0].name, 'Corvallis HQ', 'Corvallis takes everything now that it comes first');
+
+			config.segments.reverse();
+			board.reconfigure(config);
+			board.on('asset_moved', (event) => {
+				assert.strictEqual(event.asset.id, 'larry');
+				assert.strictEqual(event.to.name, 'Corvallis HQ');
+				done();
+			});
+			board.find_asset('larry')[1].set_value('position', elsewhere);
+		});
+
+		it('should emit a change event that lets clients resync', (done) => {
+			config.segments[1].name = 'Corvallis';
+			board.on('change', (event) => {
+				assert.strictEqual(event.reconfigured, true);
+				assert.deepStrictEqual(event.segments, ['Philomath HQ', 'Corvallis']);
+				assert.deepStrictEqual(event.segment_checksums, board.segments.map((s, segment_index) => ({ segment_index, checksum: s.checksum })));
+				assert.deepStrictEqual(event.changes, [{ segment_index: 1, element_index: 0, summary: board.segments[1].elements[0].summary }]);
+				done();
+			});
+			board.reconfigure(config);
+		});
+
+		it('should emit only the reconfigured change event when assets move', (done) => {
+			config.segments.splice(1, 0, { name: 'Elsewhere', class: 'GeoSegment', boundary: { type: 'Polygon', coordinates: [[[-123.38, 44.53], [-123.36, 44.53], [-123.36, 44.55], [-123.38, 44.55], [-123.38, 44.53]]] } });
+			config.segments[0].elements = [];
+			config.min_event_seconds = 0; // So that anything not held back would go out straight away
+
+			let events = [];
+			board.on('change', (event) => events.push(event));
+			board.reconfigure(config);
+			setTimeout(() => {
+				assert.strictEqual(events.length, 1);
+				assert.strictEqual(events[0].reconfigured, true);
+				done();
+			}, 150);
+		});
+
+		it('should refuse an invalid config and leave the board alone', () => {
+			const segments = board.segments;
+			config.segments[0].boundary = {};
+			config.segments.pop();
+			assert.throws(() => board.reconfigure(config), /Invalid board config: segments\[0\]\.boundary\.type missing/);
+			assert.deepStrictEqual(board.segments, segments);
+		});
+	});
+
+	describe('upsert and ingest', () => {
+
+		class Bot extends Asset {
+			constructor(obj) { super({ name: undefined, connected: undefined, ...obj }); }
+		}
+		const larry = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'larry.json'), 'utf8'));
+
+		let board;
+		beforeEach(() => {
+			board = new Board({ min_event_seconds: 0, segments: [{ name: 'Everything' }] }, { Bot });
+		});
+
+		it('should create unknown assets and update known ones', () => {
+			assert.strictEqual(board.upsert('larry', larry), 'created');
+			const asset = board.find_asset('larry')[1];
+			assert.strictEqual(asset.constructor, Asset);
+			assert.strictEqual(asset.p('name'), 'Larry');
+			assert.strictEqual(asset.p('last_seen').lat, larry.last_seen.lat);
+
+			assert.strictEqual(board.upsert('larry', { connected: 0 }), 'updated');
+			assert.strictEqual(board.find_asset('larry')[1], asset);
+			assert.strictEqual(asset.p('connected'), 0);
+		});
+
+		it('should stamp values with the timestamp resolver', () => {
+			board.upsert('larry', larry, { timestamp: 'last_seen.timestamp' });
+			assert.strictEqual(board.find_asset('larry')[1].get_notion('name').timestamp.toISOString(), larry.last_seen.timestamp);
+		});
+
+		it('should create assets of the given class', () => {
+			board.upsert('larry', larry, { asset_class: 'Bot' });
+			const asset = board.find_asset('larry')[1];
+			assert.ok(asset instanceof Bot);
+			assert.deepStrictEqual(asset.notion_names, ['name', 'connected']);
+			assert.throws(() => board.upsert('moe', larry, { asset_class: 'Robot' }), /Unable to find asset class 'Robot'/);
+		});
+
+		it('should use a configurable asset factory', () => {
+			board = new Board({ segments: [{ name: 'Everything' }] }, {}, { asset_factory: (id) => new Asset({ id, name: 'nameless' }) });
+			board.upsert('larry', {});
+			assert.strictEqual(board.find_asset('larry')[1].p('name'), 'nameless');
+
+			board.asset_factory = () => null;
+			assert.throws(() => board.upsert('moe', {}), /Asset factory did not return an Asset with ID 'moe'/);
+			assert.throws(() => { board.asset_factory = 'nope'; }, /must be a function/);
+		});
+
+		it('should report what happened to each record of a batch', () => {
+			board = new Board({ segments: [{ name: 'Corvallis', class: 'GeoSegment', boundary: { type: 'Polygon', coordinates: [[[-123.38, 44.53], [-123.36, 44.53], [-123.36, 44.55], [-123.38, 44.55], [-123.38, 44.53]]] } }] });
+			board.asset_factory = (id) => new (class Rover extends Asset { get position() { return this.p('position'); } })({ id, position: undefined });
+			board.upsert('moe', { position: { lat: 44.539, lon: -123.3708 } });
+
+			const report = board.ingest([
+				{ id: 'larry', data: { position: { lat: 44.539, lon: -123.3708 } } },
+				{ id: 'moe', data: { position: { lat: 44.54, lon: -123.3708 } } },
+				{ id: 'curly', data: { position: { lat: 45, lon: -120 } } },
+				{ id: 'shemp', data: 'not an object' },
+				null
+			]);
+
+			assert.deepStrictEqual(report, {
+				created: ['larry'],
+				updated: ['moe'],
+				unroutable: ['curly'],
+				rejected: [
+					{ index: 3, id: 'shemp', error: "Data for asset 'shemp' must be an object." },
+					{ index: 4, id: undefined, error: "Record must be an object with 'id' and 'data' properties." }
+				],
+				errors: []
+			});
+			assert.strictEqual(board.find_asset('curly'), null);
+		});
+
+		it('should emit one change event per batch', () => {
+			let events = [];
+			board.on('change', (event) => events.push(event));
+
+			const report = board.ingest(['larry', 'moe', 'curly'].map(id => ({ id, data: larry })));
+			assert.deepStrictEqual(report.created, ['larry', 'moe', 'curly']);
+			assert.strictEqual(events.length, 1);
+			assert.deepStrictEqual(events[0].changes.map(c => c.element_index), [0, 1, 2]);
+		});
+
+		it('should emit one change event for a batch of updates to existing assets', (done) => {
+			board = new Board({ min_event_seconds: 0, segments: [{ name: 'Everything' }], asset_to_element_default: null, asset_to_element: [{ element: 'RequirementElement', params: { requirements: { soc: { minimum: 50 } } } }] });
+			const ids = ['larry', 'moe', 'curly'];
+			board.ingest(ids.map(id => ({ id, data: { soc: 90 } })));
+
+			let events = [];
+			board.on('change', (event) => events.push(event));
+			board.ingest(ids.map(id => ({ id, data: { soc: 20 } })));
+			assert.strictEqual(events.length, 1, 'Element re-evaluations are settled before the batch emits');
+			assert.deepStrictEqual(events[0].changes.map(c => c.element_index), [0, 1, 2]);
+			setImmediate(() => {
+				assert.strictEqual(events.length, 1, 'Nothing is left over for later ticks');
+				done();
+			});
+		});
+
+		it('should report element re-evaluations that fail rather than throw, and still settle the rest', () => {
+			const RequirementElement = require('../lib/RequirementElement');
+			class Grumpy extends RequirementElement {
+				dirty() {
+					if (this.asset?.p('soc') === 'boom') { throw new Error(`${this.asset.id} went boom`); }
+					super.dirty();
+				}
+			}
+			board = new Board({ min_event_seconds: 0, segments: [{ name: 'Everything' }], asset_to_element: [{ element: 'Grumpy', params: { requirements: { soc: { minimum: 50 } } } }] }, { Grumpy });
+			const ids = ['larry', 'moe', 'curly'];
+			board.ingest(ids.map(id => ({ id, data: { soc: 90 } })));
+
+			let events = [];
+			board.on('change', (event) => events.push(event));
+			const report = board.ingest([{ id: 'larry', data: { soc: 'boom' } }, { id: 'moe', data: { soc: 20 } }, { id: 'curly', data: { soc: 'boom' } }]);
+
+			assert.deepStrictEqual(report.updated, ids);
+			assert.deepStrictEqual(report.errors, ['larry went boom', 'curly went boom']);
+			assert.strictEqual(events.length, 1);
+			assert.deepStrictEqual(events[0].changes.map(c => c.element_index), [1], 'moe re-evaluated although larry failed first');
+		});
+
+		it('should not leave stale timers behind for assets that are unroutable', () => {
+			class Picky extends Segment { accepts(asset) { return asset.p('soc') > 50; } }
+			const asset_factory = (id, data, AssetClass) => {
+				const asset = Board.default_asset_factory(id, data, AssetClass);
+				asset.get_notion('soc').max_age = 60;
+				return asset;
+			};
+			board = new Board({ min_event_seconds: 0, segments: [{ class: 'Picky', name: 'Charged' }] }, { Picky }, { asset_factory });
+
+			assert.strictEqual(board.upsert('larry', { soc: 20 }), 'unroutable');
+			assert.strictEqual(board.scheduler.size, 0);
+
+			assert.strictEqual(board.upsert('moe', { soc: 90 }), 'created');
+			assert.strictEqual(board.scheduler.size, 1, 'The stale timer of an asset that makes it is on the board scheduler');
+		});
+
+		it('should rate limit the change events of single upserts', () => {
+			board = new Board({ min_event_seconds: 5, segments: [{ name: 'Everything' }] });
+			let events = [];
+			board.on('change', (event) => events.push(event));
+
+			for (let id of ['larry', 'moe', 'curly', 'shemp', 'joe']) { board.upsert(id, larry); }
+			assert.strictEqual(events.length, 1, 'Only the first goes out straight away');
+			board.close();
+			assert.strictEqual(events.length, 2);
+			assert.deepStrictEqual(events[1].changes.map(c => c.element_index), [1, 2, 3, 4]);
+		});
+	});
+
+	describe('asset classes from config', () => {
+
+		const larry = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'larry.json'), 'utf8'));
+		const asset_classes = {
+			Bot: { notions: { name: 'name', soc: { source: 'mqtt.soc', type: 'number' } }, position: { lat: 'last_seen.lat', lon: 'last_seen.lon' } },
+			Rover: { extends: 'Bot', notions: { charging: { source: 'mqtt.charging', type: 'boolean' } } }
+		};
+
+		it('should ingest documents as declared assets with zero code', () => {
+			const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+			const board = new Board({ ...config, asset_classes, asset_to_element: [{ asset: 'Rover', element: 'RequirementElement', params: { requirements: { soc: { minimum: 50, unless_charging: true } } } }] });
+			assert.deepStrictEqual(board.registry.names('asset').slice(-2), ['Bot', 'Rover']);
+
+			const inside = { ...larry, last_seen: { ...larry.last_seen, lat: 44.5435, lon: -123.358 } };
+			const report = board.ingest([{ id: 'larry', data: inside, asset_class: 'Rover' }]);
+			assert.deepStrictEqual(report.created, ['larry']);
+
+			const { segment, asset, element } = board.lookup('larry');
+			assert.strictEqual(segment.name, 'Philomath HQ', 'Placed by its declared position');
+			assert.strictEqual(asset.constructor.name, 'Rover');
+			assert.strictEqual(asset.p('soc'), 90);
+			assert.strictEqual(element.condition.condition, 'green');
+			board.dispose();
+		});
+
+		it('should read declarations from a file', () => {
+			const file = path.join(os.tmpdir(), `asset_classes_${process.pid}.json`);
+			fs.writeFileSync(file, JSON.stringify(asset_classes));
+			try {
+				const board = new Board({ asset_classes: file });
+				assert.ok(board.registry.get('Rover', 'asset'));
+			} finally {
+				fs.unlinkSync(file);
+			}
+		});
+
+		it('should report invalid declarations from validate_config', () => {
+			assert.deepStrictEqual(Board.validate_config({ asset_classes: { Bot: { extends: 'Robot' } } }), ["asset_classes: Asset class 'Bot' extends 'Robot', which is not a registered asset class."]);
+			assert.deepStrictEqual(Board.validate_config({ asset_classes: 'nope.json' }).length, 1);
+			assert.deepStrictEqual(Board.validate_config({ asset_classes }), []);
+		});
+
+		it('should keep classes across a reconfigure with the same declarations, and refuse to change them', () => {
+			const board = new Board({ asset_classes, segments: [{ name: 'all' }] });
+			const Bot = board.registry.get('Bot');
+			board.reconfigure({ asset_classes, segments: [{ name: 'all' }] });
+			assert.strictEqual(board.registry.get('Bot'), Bot);
+			assert.throws(() => board.reconfigure({ asset_classes: { Bot: { notions: {} } } }), /Class name 'Bot' is already registered to a different asset class/);
+		});
+	});
+
+	describe('sequence numbers and replay', () => {
+
+		let board, events;
+		beforeEach(() => {
+			board = new Board({ min_event_seconds: 0, replay_buffer_size: 3, segments: [{ name: 'Everything' }] });
+			events = [];
+			board.on('change', (event) => events.push(event));
+			for (let id of ['a', 'b', 'c', 'd']) { board.add_asset(new Asset({ id })); }
+		});
+
+		it('should number change events', () => {
+			assert.deepStrictEqual(events.map(e => e.seq), [1, 2, 3, 4]);
+			assert.strictEqual(board.seq, 4);
+		});
+
+		it('should replay missed batches', () => {
+			const result = board.changes_since(2);
+			assert.strictEqual(result.seq, 4);
+			assert.strictEqual(result.resync, false);
+			assert.deepStrictEqual(result.batches.map(b => b.seq), [3, 4]);
+			assert.deepStrictEqual(result.batches[1].changes, events[3].changes);
+			assert.deepStrictEqual(result.batches[1].segment_checksums, events[3].segment_checksums);
+			assert.deepStrictEqual(board.changes_since(4), { seq: 4, resync: false, batches: [] });
+		});
+
+		it('should ask for a resync if the gap is too old or the seq is unknown', () => {
+			assert.deepStrictEqual(board.changes_since(1).batches.map(b => b.seq), [2, 3, 4]);
+			assert.deepStrictEqual(board.changes_since(0), { seq: 4, resync: true, batches: [] });
+			assert.strictEqual(board.changes_since(99).resync, true, 'e.g. after a server restart');
+			assert.throws(() => board.changes_since(-1), /non-negative integer/);
+		});
+
+		it('should ask for a resync after reconfiguration', () => {
+			board.reconfigure({ min_event_seconds: 0, replay_buffer_size: 3, segments: [{ name: 'Everything' }, { name: 'Nothing' }] });
+			assert.strictEqual(board.changes_since(4).resync, true);
+			assert.strictEqual(board.changes_since(5).resync, false);
+		});
+
+		it('should carry the seq through a snapshot', () => {
+			const restored = new Board({ segments: [{ name: 'Everything' }] });
+			restored.restore(board.snapshot());
+			assert.strictEqual(restored.seq, 5);
+			assert.deepStrictEqual(restored.changes_since(4).batches.map(b => b.seq), [5]);
+			assert.strictEqual(restored.changes_since(4).resync, false);
+			assert.strictEqual(restored.changes_since(3).resync, true);
+		});
+
+		it('should number the change event of a restore on from the snapshot', () => {
+			const restored = new Board({ segments: [{ name: 'Everything' }] }); // Rate limited, so nothing may slip out ahead of the batch
+			const seqs = [];
+			restored.on('change', (event) => seqs.push(event.seq));
+			restored.restore(board.snapshot());
+			restored.close();
+
+			assert.deepStrictEqual(seqs, [5]);
+			assert.deepStrictEqual(restored.changes_since(4).batches[0].changes.map(c => c.element_index), [0, 1, 2, 3]);
+		});
+
+		it('should validate the buffer size', () => {
+			assert.throws(() => new Board({ replay_buffer_size: -1 }), /non-negative integer/);
+			assert.deepStrictEqual(Board.validate_config({ replay_buffer_size: 1.5 }), ['replay_buffer_size: must be a non-negative integer']);
+		});
+	});
+
+	describe('lookup', () => {
+
+		let board;
+		beforeEach(() => {
+			board = new Board({ segments: [{ name: 'First', elements: [{ class: 'Element' }] }, { name: 'Second' }] });
+		});
+
+		it('should return the segment, asset and element', () => {
+			const asset = new Asset({ id: 'larry' });
+			board.add_asset(asset);
+			const found = board.lookup('larry');
+			assert.strictEqual(found.segment, board.segments[0]);
+			assert.strictEqual(found.asset, asset);
+			assert.strictEqual(found.element, board.segments[0].elements[0]);
+			assert.strictEqual(board.lookup('moe'), null);
+			assert.throws(() => board.lookup(''), /non-empty string/);
+		});
+
+		it('should index assets added to and removed from segments directly', () => {
+			board.segments[1].add_asset(new Asset({ id: 'larry' }));
+			assert.strictEqual(board.lookup('larry').segment, board.segments[1]);
+			assert.strictEqual(board.lookup('larry').element, board.segments[1].elements[0]);
+			board.segments[1].remove_asset('larry');
+			assert.strictEqual(board.lookup('larry'), null);
+		});
+
+		it('should refuse an asset that is already in another segment', () => {
+			board.segments[1].add_asset(new Asset({ id: 'larry' }));
+			assert.throws(() => board.add_asset(new Asset({ id: 'larry' })), /Asset with ID larry already exists/);
+		});
+
+		it('should follow reconfiguration', () => {
+			board.add_asset(new Asset({ id: 'larry' }));
+			board.reconfigure({ segments: [{ name: 'Second' }] });
+			assert.strictEqual(board.lookup('larry').segment, board.segments[0]);
+			board.reconfigure({ segments: [{ name: 'Elsewhere', class: 'GeoSegment', boundary: { type: 'Polygon', coordinates: [[[-123.38, 44.53], [-123.36, 44.53], [-123.36, 44.55], [-123.38, 44.53]]] } }] });
+			assert.strictEqual(board.lookup('larry'), null, 'Dropped');
+		});
+
+		it('should find assets through its index rather than searching segments', () => {
+			for (let i = 0; i < 1000; i++) { board.segments[i % 2].add_asset(new Asset({ id: `asset-${i}` })); }
+			for (let segment of board.segments) {
+				const search = () => { throw new Error(`Searched segment '${segment.name}'`); };
+				Object.defineProperty(segment, 'assets', { get: search });
+				segment.find_asset = search;
+			}
+
+			assert.strictEqual(board.lookup('asset-999').segment, board.segments[1]);
+			assert.strictEqual(board.lookup('asset-999').element.asset.id, 'asset-999');
+			assert.strictEqual(board.find_asset('asset-0')[0], board.segments[0]);
+			assert.strictEqual(board.lookup('asset-1000'), null);
+			assert.strictEqual(board.remove_asset('asset-1'), true);
+			assert.strictEqual(board.lookup('asset-1'), null);
+		});
+	});
+
+	describe('lifecycle', () => {
+
+		const RequirementElement = require('../lib/RequirementElement');
+
+		let board, larry, moe;
+		beforeEach(() => {
+			board = new Board({
+				min_event_seconds: 0,
+				asset_to_element: [{ asset: 'Asset', element: 'RequirementElement' }],
+				segments: [
+					{ name: 'First', elements: [{ class: 'RequirementElement', requirements: { soc: { minimum: 50 } } }] },
+					{ name: 'Second' }
+				]
+			});
+			larry = new Asset({ id: 'larry', soc: 90 });
+			moe = new Asset({ id: 'moe', soc: 90 });
+			board.add_asset(larry);
+			board.add_asset(moe);
+		});
+
+		it('should remove a segment, re-homing its assets', () => {
+			const first = board.segments[0];
+			const second = board.segments[1];
+			let events = [];
+			board.on('change', (event) => events.push(event));
+
+			const report = board.remove_segment('First');
+			assert.deepStrictEqual(report, { moved: ['larry', 'moe'], dropped: [] });
+			assert.deepStrictEqual(board.segments, [second]);
+			assert.strictEqual(board.find_asset('larry')[0], second);
+			assert.strictEqual(first.listenerCount('change'), 0);
+			assert.strictEqual(larry.get_notion('soc').listenerCount('changed'), 1, 'The static RequirementElement let go of larry, leaving only the asset');
+
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].reconfigured, true);
+			assert.deepStrictEqual(events[0].segments, ['Second']);
+			assert.deepStrictEqual(events[0].changes.map(c => c.segment_index), [0, 0]);
+			assert.throws(() => board.remove_segment('First'), /Segment 'First' not found/);
+		});
+
+		it('should drop assets that no other segment takes', () => {
+			board.remove_segment('Second');
+			assert.deepStrictEqual(board.remove_segment('First'), { moved: [], dropped: ['larry', 'moe'] });
+			assert.strictEqual(board.find_asset('larry'), null);
+		});
+
+		it('should tear everything down on dispose', () => {
+			const segments = board.segments;
+			const elements = segments.flatMap(s => s.elements);
+			let disposed = 0;
+			board.on('disposed', (event) => { assert.strictEqual(event.board, board); disposed++; });
+
+			board.dispose();
+			assert.strictEqual(disposed, 1);
+			assert.strictEqual(board.disposed, true);
+			assert.strictEqual(board.listenerCount('change'), 0);
+			assert.ok(segments.every(s => s.listenerCount('change') === 0));
+			assert.ok(elements.every(e => e.listenerCount('change') === 0 && !e.asset));
+			assert.strictEqual(larry.get_notion('soc').listenerCount('changed'), 1, 'Only the asset is listening');
+			assert.strictEqual(moe.get_notion('soc').listenerCount('changed'), 1);
+			assert.strictEqual(larry.listenerCount('changed'), 0);
+		});
+
+		it('should refuse to be used after dispose', () => {
+			board.dispose();
+			assert.throws(() => board.add_asset(new Asset({ id: 'curly' })), /Board '' has been disposed/);
+			assert.throws(() => board.find_asset('larry'), /has been disposed/);
+			assert.throws(() => board.dispose(), /has been disposed/);
+		});
+	});
+
 	describe('events', () => {
 
 		let board;
@@ -278,6 +1105,8 @@ describe('Board', () => {
 				assert.ok(event.changes.length > 0, 'Event should have changes');
 				assert.strictEqual(event.changes[0].element_index, 0, 'Element index should be 0 for first element');
 				assert.strictEqual(event.changes[0].segment_index, 0, 'Segment index should be 0 for first segment');
+				assert.strictEqual(event.condition.condition, 'green', 'Event should contain the board condition');
+				assert.strictEqual(event.totals.count, 4, 'Event should contain the element totals');
 				done();
 			});
 			
@@ -295,7 +1124,7 @@ describe('Board', () => {
 
 				assert.strictEqual(changeCount, 1, 'Should emit only one change event for multiple changes within the same second');
 				done();	
-			}, 101);
+			}, 50); // Within the window; the held back changes go out when it ends
 			
 			const asset1 = new Asset({ id: 'test-asset-1', name: 'Test Asset 1' });
 			const asset2 = new Asset({ id: 'test-asset-2', name: 'Test Asset 2' });
@@ -307,6 +1136,65 @@ describe('Board', () => {
 		}
 		);
 
+		it('should send changes held back by min_event_seconds once the window has passed', (done) => {
+			let events = [];
+			board.on('change', (event) => events.push(event));
+
+			board.segments[0].add_asset(new Asset({ id: 'test-asset-1' }));
+			board.segments[1].add_asset(new Asset({ id: 'test-asset-2' }));
+			assert.strictEqual(events.length, 1, 'The second change is held back');
+
+			setTimeout(() => {
+				assert.strictEqual(events.length, 2, 'The held back change has gone out');
+				assert.deepStrictEqual(events[1].changes.map(c => c.segment_index), [1]);
+				board.close();
+				done();
+			}, 150);
+		});
+
+		it('should rate limit on the clock of the board scheduler', () => {
+			const ManualClock = require('../lib/ManualClock');
+			const clock = new ManualClock(0);
+			board = new Board({ min_event_seconds: 5, segments: [{ name: 'Segment 1' }, { name: 'Segment 2' }] }, {}, { clock });
+			let events = [];
+			board.on('change', (event) => events.push(event));
+
+			board.segments[0].add_asset(new Asset({ id: 'test-asset-1' }));
+			board.segments[1].add_asset(new Asset({ id: 'test-asset-2' }));
+			assert.strictEqual(events.length, 1, 'The first change goes out straight away');
+			clock.advance(4999);
+			assert.strictEqual(events.length, 1, 'The second is held back for min_event_seconds');
+			clock.advance(1);
+			assert.strictEqual(events.length, 2, 'And goes out as soon as the clock says so');
+			assert.deepStrictEqual(events[1].changes.map(c => c.segment_index), [1]);
+		});
+
+		it('should flush pending changes on demand', () => {
+			let events = 0;
+			board.on('change', () => events++);
+
+			board.segments[0].add_asset(new Asset({ id: 'test-asset-1' }));
+			board.segments[1].add_asset(new Asset({ id: 'test-asset-2' }));
+			assert.strictEqual(board.flush(), true);
+			assert.strictEqual(board.flush(), false, 'Nothing left to flush');
+			assert.strictEqual(events, 2);
+		});
+
+		it('should stop the trailing flush when closed', (done) => {
+			let events = 0;
+			board.on('change', () => events++);
+
+			board.segments[0].add_asset(new Asset({ id: 'test-asset-1' }));
+			board.close();
+			board.segments[1].add_asset(new Asset({ id: 'test-asset-2' }));
+
+			setTimeout(() => {
+				assert.strictEqual(events, 1, 'The held back change stays pending');
+				assert.strictEqual(board.flush(), true);
+				done();
+			}, 150);
+		});
+
 	});
 	
 	
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const express = require('express');
+const BoardRouter = require('../lib/BoardRouter.js');
+const Board = require('../lib/Board.js');
+const Asset = require('../lib/Asset.js');
+
+describe('BoardRouter', () => {
+
+	let server, base;
+	before((done) => {
+		const board = new Board({ min_event_seconds: 0, segments: [{ name: 'Everything' }] });
+		const larry = new Asset({ id: 'larry', soc: undefined, name: 'Larry' });
+		larry.get_notion('soc').keep_history({ size: 100 });
+		for (let m = 0; m < 5; m++) { larry.set_value('soc', 70 + m, new Date(Date.UTC(2025, 0, 1, 0, m))); }
+		board.add_asset(larry);
+
+		const app = express();
+		app.use('/api', new BoardRouter({ board, base_url: '/api' }).router);
+		app.use((err, req, res, next) => res.status(404).json({ error: err.message }));
+		server = app.listen(0, '127.0.0.1', () => {
+			base = `http://127.0.0.1:${server.address().port}/api`;
+			done();
+		});
+	});
+	after((done) => { server.close(done); });
+
+	describe('GET /board/asset/:id/notion/:name/history', () => {
+
+		it('should return the history with its statistics', async () => {
+			const res = await fetch(`${base}/board/asset/larry/notion/soc/history`);
+			assert.strictEqual(res.status, 200);
+			assert.match(res.headers.get('content-type'), /application\/vnd\.api\+json/);
+
+			const body = await res.json();
+			assert.strictEqual(body.data.type, 'notion_history');
+			assert.strictEqual(body.data.id, 'larry/soc');
+			assert.strictEqual(body.data.attributes.size, 100);
+			assert.deepStrictEqual(body.data.attributes.entries.map(e => e.value), [70, 71, 72, 73, 74]);
+			assert.strictEqual(body.data.attributes.entries[0].timestamp, '2025-01-01T00:00:00.000Z');
+			assert.deepStrictEqual(body.data.attributes.stats, { count: 5, min: 70, max: 74, avg: 72 });
+			assert.strictEqual(body.data.attributes.slope, 1 / 60);
+			assert.strictEqual(body.links.self, '/api/board/asset/larry/notion/soc/history');
+		});
+
+		it('should limit the range with from and to, as ISO 8601 or milliseconds', async () => {
+			const from = '2025-01-01T00:01:00Z';
+			const to = Date.UTC(2025, 0, 1, 0, 3);
+			const res = await fetch(`${base}/board/asset/larry/notion/soc/history?from=${from}&to=${to}`);
+			const body = await res.json();
+			assert.deepStrictEqual(body.data.attributes.entries.map(e => e.value), [71, 72, 73]);
+			assert.deepStrictEqual(body.data.attributes.stats, { count: 3, min: 71, max: 73, avg: 72 });
+		});
+
+		it('should fail for an unknown asset', async () => {
+			const res = await fetch(`${base}/board/asset/moe/notion/soc/history`);
+			assert.strictEqual(res.status, 404);
+			assert.match((await res.json()).error, /Asset with ID 'moe' not found/);
+		});
+
+		it('should fail for an unknown notion, or one without history', async () => {
+			let res = await fetch(`${base}/board/asset/larry/notion/rssi/history`);
+			assert.strictEqual(res.status, 404);
+			assert.match((await res.json()).error, /Notion 'rssi' not found on asset 'larry'/);
+
+			res = await fetch(`${base}/board/asset/larry/notion/name/history`);
+			assert.match((await res.json()).error, /Notion 'name' of asset 'larry' does not keep history/);
+		});
+
+		it('should fail for an invalid time', async () => {
+			const res = await fetch(`${base}/board/asset/larry/notion/soc/history?from=yesterday`);
+			assert.strictEqual(res.status, 404);
+			assert.match((await res.json()).error, /Failed to retrieve notion history/);
+		});
+	});
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const Board = require('../lib/Board');
+const BoardView = require('../lib/BoardView');
+const BoardRouter = require('../lib/BoardRouter');
+const Segment = require('../lib/Segment');
+const Asset = require('../lib/Asset');
+const Element = require('../lib/Element');
+const ElementCondition = require('../lib/ElementCondition');
+
+describe('BoardView', () => {
+
+	class Bot extends Asset {}
+	class Rover extends Bot {}
+	class FlagElement extends Element {
+		#flag = 'green';
+		get condition() { return new ElementCondition(this.#flag); }
+		get summary() { return `${super.summary}:${this.#flag}`; }
+		set flag(value) { this.#flag = value; this.dirty(); }
+	}
+
+	let board;
+	beforeEach(() => {
+		board = new Board({
+			min_event_seconds: 0,
+			asset_to_element: ['Asset', 'Bot', 'Rover'].map(asset => ({ asset, element: 'FlagElement' })),
+			segments: [
+				{ name: 'Dispatch' },
+				{ name: 'Depot' }
+			]
+		}, { FlagElement, Bot, Rover });
+
+		board.segments[0].add_asset(new Asset({ id: 'crate' }));
+		board.segments[0].add_asset(new Bot({ id: 'larry' }));
+		board.segments[0].add_asset(new Rover({ id: 'moe' }));
+		board.segments[1].add_asset(new Bot({ id: 'curly' }));
+	});
+
+	describe('constructor', () => {
+		it('should require a board', () => {
+			assert.throws(() => new BoardView({}), /valid Board instance/);
+		});
+
+		it('should reject unknown segments and conditions', () => {
+			assert.throws(() => new BoardView({ segments: ['Nowhere'] }, board), /Segment 'Nowhere' not found on board/);
+			assert.throws(() => new BoardView({ conditions: ['purple'] }, board), /Invalid condition 'purple'/);
+			assert.throws(() => new BoardView({ asset_classes: 'Bot' }, board), /asset_classes must be an array of strings/);
+		});
+
+		it('should be mountable by a BoardRouter', () => {
+			assert.ok(new BoardRouter({ board: new BoardView({}, board) }).router);
+		});
+	});
+
+	describe('filtering', () => {
+		it('should show a subset of segments', () => {
+			const view = new BoardView({ name: 'Depot', segments: ['Depot'] }, board);
+			assert.strictEqual(view.name, 'Depot');
+			assert.deepStrictEqual(view.segments.map(s => s.name), ['Depot']);
+			assert.strictEqual(view.segments[0].segment, board.segments[1]);
+		});
+
+		it('should filter elements by asset class, keeping element indices', () => {
+			const view = new BoardView({ asset_classes: ['Bot'] }, board);
+			const elements = view.segments[0].elements;
+			assert.strictEqual(elements.length, 3);
+			assert.strictEqual(elements[0], null);
+			assert.strictEqual(elements[1].asset.id, 'larry');
+			assert.strictEqual(elements[2].asset.id, 'moe', 'Subclasses match too');
+			assert.strictEqual(view.find_asset('crate'), null);
+			assert.strictEqual(view.find_asset('moe')[0], view.segments[0]);
+		});
+
+		it('should filter elements by condition and roll up the visible ones', () => {
+			const view = new BoardView({ conditions: ['red', 'yellow'] }, board);
+			assert.deepStrictEqual(view.segments[0].elements, [null, null, null]);
+			assert.strictEqual(view.condition.condition, 'unknown');
+
+			board.segments[0].elements[1].flag = 'yellow';
+			assert.strictEqual(view.segments[0].elements[1], board.segments[0].elements[1]);
+			assert.strictEqual(view.condition.condition, 'yellow');
+			assert.strictEqual(view.stats().totals.count, 1);
+		});
+
+		it('should compute checksums over the visible elements', () => {
+			const view = new BoardView({ asset_classes: ['Bot'] }, board);
+			assert.strictEqual(view.segments[1].checksum, board.segments[1].checksum);
+			assert.notStrictEqual(view.segments[0].checksum, board.segments[0].checksum);
+			assert.strictEqual(view.segments[0].checksum, Segment.checksum_of(view.segments[0].elements));
+		});
+	});
+
+	describe('events', () => {
+		it('should emit changes with view indices and skip hidden elements', () => {
+			const view = new BoardView({ segments: ['Depot'] }, board);
+			let events = [];
+			view.on('change', (event) => events.push(event));
+
+			board.segments[0].elements[0].flag = 'red';
+			assert.strictEqual(events.length, 0);
+
+			board.segments[1].elements[0].flag = 'red';
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].view, view);
+			assert.deepStrictEqual(events[0].changes, [{ segment_index: 0, element_index: 0, summary: board.segments[1].elements[0].summary }]);
+			assert.deepStrictEqual(events[0].segment_checksums, [{ segment_index: 0, checksum: view.segments[0].checksum }]);
+			assert.strictEqual(events[0].condition.condition, 'red');
+		});
+
+		it('should report elements leaving the view with a null summary', () => {
+			const view = new BoardView({ conditions: ['red'] }, board);
+			let events = [];
+			view.on('change', (event) => events.push(event));
+
+			board.segments[0].elements[2].flag = 'red';
+			board.segments[0].elements[2].flag = 'green';
+			board.segments[0].elements[2].flag = 'yellow';
+			assert.strictEqual(events.length, 2);
+			assert.strictEqual(events[0].changes[0].summary, board.segments[0].elements[2].summary.replace('yellow', 'red'));
+			assert.deepStrictEqual(events[1].changes, [{ segment_index: 0, element_index: 2, summary: null }]);
+		});
+
+		it('should follow board reconfiguration', () => {
+			const view = new BoardView({ segments: ['Depot'] }, board);
+			let events = [];
+			view.on('change', (event) => events.push(event));
+
+			board.reconfigure({ min_event_seconds: 0, segments: [{ name: 'Depot' }] });
+			const event = events.pop();
+			assert.strictEqual(event.reconfigured, true);
+			assert.deepStrictEqual(event.segments, ['Depot']);
+			assert.ok(events.every(e => e.changes.every(c => c.segment_index === 0)), 'Assets re-homed into Depot show up in the view');
+			assert.strictEqual(view.segments[0].segment, board.segments[0]);
+		});
+
+		it('should stop emitting once disposed', () => {
+			const view = new BoardView({}, board);
+			let events = 0;
+			view.on('change', () => events++);
+			view.dispose();
+			board.segments[0].elements[0].flag = 'red';
+			assert.strictEqual(events, 0);
+		});
+	});
+});
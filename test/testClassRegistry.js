@@ -0,0 +1,107 @@
+const assert = require('node:assert');
+const ClassRegistry = require('../lib/ClassRegistry.js');
+const Board = require('../lib/Board.js');
+const Asset = require('../lib/Asset.js');
+const Element = require('../lib/Element.js');
+const Segment = require('../lib/Segment.js');
+
+describe('ClassRegistry', () => {
+
+	class Bot extends Asset {}
+	class BotElement extends Element {}
+
+	describe('register', () => {
+		it('should start with the built in classes', () => {
+			const registry = new ClassRegistry();
+			assert.deepStrictEqual(registry.names(), ['Asset', 'Segment', 'GeoSegment', 'Element', 'RequirementElement']);
+			assert.deepStrictEqual(registry.names('segment'), ['Segment', 'GeoSegment']);
+		});
+
+		it('should register classes by kind and name', () => {
+			const registry = new ClassRegistry();
+			assert.strictEqual(registry.register(Bot), 'Bot');
+			assert.strictEqual(registry.register(BotElement, { kind: 'element', name: 'Bot2' }), 'Bot2');
+			assert.strictEqual(registry.get('Bot'), Bot);
+			assert.strictEqual(registry.get('Bot', 'element'), undefined);
+			assert.strictEqual(registry.get('Bot2', 'element'), BotElement);
+		});
+
+		it('should check inheritance up front', () => {
+			const registry = new ClassRegistry();
+			assert.throws(() => registry.register(class Thing {}), /Class 'Thing' must inherit from Asset, Segment or Element/);
+			assert.throws(() => registry.register(Bot, { kind: 'element' }), /Class 'Bot' does not inherit from Element/);
+			assert.throws(() => registry.register(Bot, { kind: 'gadget' }), /Invalid kind 'gadget'/);
+		});
+
+		it('should refuse name collisions', () => {
+			const registry = new ClassRegistry({ Bot });
+			registry.register(Bot);
+			assert.throws(() => registry.register(class Bot extends Asset {}), /Class name 'Bot' is already registered to a different asset class/);
+			assert.throws(() => new Board({}, { Element: BotElement }), /Class name 'Element' is already registered/);
+		});
+	});
+
+	describe('load_plugin', () => {
+		it('should load a plugin module by name', () => {
+			const registry = new ClassRegistry();
+			assert.deepStrictEqual(registry.load_plugin('./test/data/plugin.js'), ['BatteryElement', 'Depot']);
+			assert.deepStrictEqual(registry.load_plugin('./test/data/plugin.js'), [], 'Loading again does nothing');
+			assert.ok(registry.get('Depot', 'segment').prototype instanceof Segment);
+		});
+
+		it('should load plugin objects with a register function', () => {
+			const registry = new ClassRegistry();
+			registry.load_plugin({ name: 'bots', register: (r) => { r.register(Bot); r.register(BotElement); } });
+			assert.deepStrictEqual(registry.names('asset'), ['Asset', 'Bot']);
+		});
+
+		it('should report plugins that fail', () => {
+			const registry = new ClassRegistry();
+			assert.throws(() => registry.load_plugin('./test/data/no-such-plugin.js'), /Unable to load plugin '.\/test\/data\/no-such-plugin.js'/);
+			assert.throws(() => registry.load_plugin({ name: 'empty' }), /Plugin 'empty' must export classes or a register\(\) function/);
+			assert.throws(() => registry.load_plugin({ name: 'clash', classes: { Segment: Bot } }), /Plugin 'clash': Class name 'Segment' is already registered/);
+		});
+	});
+
+	describe('define_assets', () => {
+		it('should define and register asset classes, once per declaration', () => {
+			const registry = new ClassRegistry();
+			const declarations = { Bot: { notions: { soc: 'mqtt.soc' } }, Rover: { extends: 'Bot' } };
+			assert.deepStrictEqual(registry.define_assets(declarations), ['Bot', 'Rover']);
+			assert.ok(registry.get('Rover').prototype instanceof registry.get('Bot'));
+			assert.deepStrictEqual(registry.define_assets(declarations), []);
+		});
+
+		it('should throw for declarations that are not an object', () => {
+			assert.throws(() => new ClassRegistry().define_assets([]), /Asset classes must be an object of declarations/);
+		});
+	});
+
+	describe('Board', () => {
+		const config = {
+			plugins: ['./test/data/plugin.js'],
+			segments: [{ name: 'Depot', class: 'Depot', elements: [{ class: 'BatteryElement', cells: 4 }] }]
+		};
+
+		it('should load plugins from the config and resolve classes through the registry', () => {
+			const board = new Board(config);
+			assert.strictEqual(board.segments[0].constructor.name, 'DepotSegment');
+			assert.strictEqual(board.segments[0].elements[0].constructor, board.registry.get('BatteryElement'));
+		});
+
+		it('should validate configs against plugin schemas', () => {
+			assert.deepStrictEqual(Board.validate_config(config), []);
+			assert.deepStrictEqual(Board.validate_config({ ...config, segments: [{ class: 'Depot', elements: [{ class: 'BatteryElement' }] }] }), ['segments[0].elements[0].cells missing']);
+			assert.deepStrictEqual(Board.validate_config({ plugins: ['./test/data/no-such-plugin.js'] }).length, 1);
+		});
+
+		it('should share a registry between boards', () => {
+			const registry = new ClassRegistry();
+			registry.register(Bot);
+			const board = new Board({ segments: [{ name: 'Everything' }] }, registry);
+			board.upsert('larry', {}, { asset_class: 'Bot' });
+			assert.ok(board.find_asset('larry')[1] instanceof Bot);
+			assert.strictEqual(board.registry, registry);
+		});
+	});
+});
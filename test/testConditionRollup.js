@@ -0,0 +1,96 @@
+const assert = require('node:assert');
+const ConditionRollup = require('../lib/ConditionRollup.js');
+const ElementCondition = require('../lib/ElementCondition.js');
+
+/**
+ * Make an array of conditions from a map of condition → count
+ */
+function conditions(counts) {
+	let arr = [];
+	for (let [condition, count] of Object.entries(counts)) {
+		for (let i = 0; i < count; i++) { arr.push(new ElementCondition(condition)); }
+	}
+	return arr;
+}
+
+describe('ConditionRollup', () => {
+
+	describe('constructor', () => {
+		it('should default to the worst policy', () => {
+			const rollup = new ConditionRollup();
+			assert.strictEqual(rollup.policy, 'worst');
+			assert.strictEqual(rollup.ignore_unknown, false);
+		});
+
+		it('should throw for an invalid policy', () => {
+			assert.throws(() => new ConditionRollup({ policy: 'best' }), /Invalid rollup policy 'best'/);
+		});
+
+		it('should throw for invalid thresholds', () => {
+			assert.throws(() => new ConditionRollup({ policy: 'threshold' }), /requires at least one threshold/);
+			assert.throws(() => new ConditionRollup({ policy: 'threshold', thresholds: { green: 5 } }), /Invalid rollup threshold condition 'green'/);
+			assert.throws(() => new ConditionRollup({ policy: 'threshold', thresholds: { red: 101 } }), /between 0 and 100/);
+		});
+	});
+
+	describe('worst policy', () => {
+		it('should return the most severe condition', () => {
+			const rollup = new ConditionRollup();
+			assert.strictEqual(rollup.rollup(conditions({ green: 10 })).condition, 'green');
+			assert.strictEqual(rollup.rollup(conditions({ green: 10, unknown: 1 })).condition, 'unknown');
+			assert.strictEqual(rollup.rollup(conditions({ green: 10, unknown: 1, yellow: 1 })).condition, 'yellow');
+			assert.strictEqual(rollup.rollup(conditions({ green: 10, yellow: 1, red: 1 })).condition, 'red');
+		});
+
+		it('should ignore unknown conditions if configured', () => {
+			const rollup = new ConditionRollup({ ignore_unknown: true });
+			assert.strictEqual(rollup.rollup(conditions({ green: 10, unknown: 3 })).condition, 'green');
+			assert.strictEqual(rollup.rollup(conditions({ unknown: 3 })).condition, 'unknown');
+		});
+
+		it('should roll up nothing to unknown', () => {
+			assert.strictEqual(new ConditionRollup().rollup([]).condition, 'unknown');
+		});
+	});
+
+	describe('threshold policy', () => {
+		it('should only go red if more than the threshold percentage is red', () => {
+			const rollup = new ConditionRollup({ policy: 'threshold', thresholds: { red: 5 } });
+			assert.strictEqual(rollup.rollup(conditions({ green: 95, red: 5 })).condition, 'green');
+			assert.strictEqual(rollup.rollup(conditions({ green: 94, red: 6 })).condition, 'red');
+		});
+
+		it('should count more severe conditions towards less severe thresholds', () => {
+			const rollup = new ConditionRollup({ policy: 'threshold', thresholds: { red: 5, yellow: 10 } });
+			assert.strictEqual(rollup.rollup(conditions({ green: 89, yellow: 7, red: 4 })).condition, 'yellow');
+			assert.strictEqual(rollup.rollup(conditions({ green: 91, yellow: 5, red: 4 })).condition, 'green');
+		});
+
+		it('should be unknown rather than green unless green outnumbers unknown', () => {
+			const rollup = new ConditionRollup({ policy: 'threshold', thresholds: { red: 5 } });
+			const result = rollup.rollup(conditions({ unknown: 2 }));
+			assert.strictEqual(result.condition, 'unknown');
+			assert.strictEqual(result.message, '0% green (0 of 2)');
+			assert.strictEqual(rollup.rollup(conditions({ green: 1, unknown: 1 })).condition, 'unknown');
+			assert.strictEqual(rollup.rollup(conditions({ green: 2, unknown: 1 })).condition, 'green');
+			assert.strictEqual(rollup.rollup(conditions({ green: 1, yellow: 2 })).condition, 'green', 'Yellow under its threshold still counts as known');
+		});
+	});
+
+	describe('message and trend', () => {
+		it('should report the share of green conditions', () => {
+			const rollup = new ConditionRollup({ policy: 'threshold', thresholds: { red: 5 } });
+			assert.strictEqual(rollup.rollup(conditions({ green: 19, red: 1 })).message, '95% green (19 of 20)');
+		});
+
+		it('should roll up the worst known trend', () => {
+			const rollup = new ConditionRollup();
+			const result = rollup.rollup([
+				new ElementCondition('green', 'unknown'),
+				new ElementCondition('green', 'yellow'),
+				new ElementCondition('green', 'green')
+			]);
+			assert.strictEqual(result.trend, 'yellow');
+		});
+	});
+});
@@ -0,0 +1,56 @@
+const assert = require('node:assert');
+const ConfigSchema = require('../lib/ConfigSchema.js');
+
+describe('ConfigSchema', () => {
+
+	class Base { static get config_schema() { return { class: { type: 'string' }, size: { type: 'number', required: true } }; } }
+	class Derived extends Base { static get config_schema() { return { ...super.config_schema, color: { type: 'string', enum: ['red', 'blue'] } }; } }
+	class Unrelated {}
+	const classes = { Base, Derived, Unrelated };
+
+	it('should return no problems for a valid value', () => {
+		const schema = { type: 'object', properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } } };
+		assert.deepStrictEqual(ConfigSchema.validate({ name: 'x', tags: ['a', 'b'] }, schema), []);
+	});
+
+	it('should report every problem with its path', () => {
+		const schema = { type: 'object', properties: { name: { type: 'string', required: true }, tags: { type: 'array', items: { type: 'string' } }, limits: { type: 'object', values: { type: 'number' } } } };
+		assert.deepStrictEqual(ConfigSchema.validate({ tags: ['a', 2], limits: { low: 1, high: 'x' }, extra: true }, schema), [
+			'name missing',
+			'tags[1] must be a string',
+			'limits.high must be a number',
+			'extra unknown key'
+		]);
+	});
+
+	it('should allow additional keys if asked to', () => {
+		const schema = { type: 'object', additional: true, properties: { type: { type: 'string', required: true } } };
+		assert.deepStrictEqual(ConfigSchema.validate({ type: 'Polygon', bbox: [] }, schema), []);
+	});
+
+	it('should take properties from the class named in the value', () => {
+		const schema = { type: 'array', items: { type: 'object', class_of: Base, default_class: 'Base' } };
+		assert.deepStrictEqual(ConfigSchema.validate([{ size: 1 }, { class: 'Derived', size: 2, color: 'red' }], schema, classes), []);
+		assert.deepStrictEqual(ConfigSchema.validate([{ color: 'red' }, { class: 'Derived', color: 'green' }, { class: 'Unrelated' }, { class: 'Nope' }], schema, classes), [
+			'[0].size missing',
+			'[0].color unknown key',
+			'[1].size missing',
+			'[1].color must be one of red, blue',
+			"[2].class 'Unrelated' does not inherit from Base",
+			"[3].class 'Nope' not registered"
+		]);
+	});
+
+	it('should check strings that name classes', () => {
+		const schema = { type: 'object', properties: { a: { type: 'string', class_name: Base }, b: { type: 'string', class_name: Base }, c: { type: 'string', class_name: Base } } };
+		assert.deepStrictEqual(ConfigSchema.validate({ a: 'Derived', b: 'Unrelated', c: 'Nope' }, schema, classes), [
+			"b 'Unrelated' does not inherit from Base",
+			"c 'Nope' not registered"
+		]);
+	});
+
+	it('should run custom validators', () => {
+		const schema = { type: 'number', validate: (v) => v % 2 ? 'must be even' : undefined };
+		assert.deepStrictEqual(ConfigSchema.validate(3, schema, {}, 'count'), ['count: must be even']);
+	});
+});
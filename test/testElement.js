@@ -1,6 +1,9 @@
 const assert = require('node:assert');
 const Element = require('../lib/Element.js');
 const Asset = require('../lib/Asset.js');
+const ElementCondition = require('../lib/ElementCondition.js');
+const Scheduler = require('../lib/Scheduler.js');
+const ManualClock = require('../lib/ManualClock.js');
 
 describe('Element', () => {
 	describe('constructor', () => {
@@ -206,4 +209,215 @@ describe('Element', () => {
 		});
 	});
 
-});
\ No newline at end of file
+	describe('stale inputs', () => {
+
+		class SocElement extends Element {
+			get inputs() { return ['soc']; }
+			get condition() { return new ElementCondition(this.asset?.p('soc') >= 50 ? 'green' : 'red'); }
+		}
+
+		let asset;
+		beforeEach(() => {
+			asset = new Asset({ id: 'larry', soc: undefined });
+			asset.get_notion('soc').max_age = 60;
+		});
+
+		it('should make the effective condition unknown while an input is stale', () => {
+			const element = new SocElement();
+			element.pair(asset);
+			asset.set_value('soc', 80);
+			assert.deepStrictEqual(element.stale_inputs, []);
+			assert.strictEqual(element.effective_condition.condition, 'green');
+
+			asset.set_value('soc', 80, new Date(Date.now() - 120 * 1000));
+			assert.deepStrictEqual(element.stale_inputs, ['soc']);
+			assert.strictEqual(element.condition.condition, 'green');
+			assert.strictEqual(element.effective_condition.condition, 'unknown');
+			assert.strictEqual(element.effective_condition.message, 'soc stale');
+			assert.strictEqual(element.render('object').condition.condition, 'unknown');
+		});
+
+		it('should make the effective condition unknown while an input is flagged invalid', () => {
+			const element = new SocElement({ stale_as_unknown: false });
+			element.pair(asset);
+			asset.get_notion('soc').type = { type: 'number', on_invalid: 'flag' };
+			asset.set_value('soc', 'lots');
+			assert.deepStrictEqual(element.invalid_inputs, ['soc']);
+			assert.strictEqual(element.effective_condition.message, 'soc invalid');
+			assert.match(element.summary, /:soc invalid$/);
+		});
+
+		it('should keep the condition if stale_as_unknown is false', () => {
+			const element = new SocElement({ stale_as_unknown: false });
+			element.pair(asset);
+			asset.set_value('soc', 80, new Date(Date.now() - 120 * 1000));
+			assert.strictEqual(element.effective_condition.condition, 'green');
+		});
+
+		it('should emit change when an input goes stale on its timer', (done) => {
+			const element = new SocElement();
+			element.pair(asset);
+			asset.get_notion('soc').max_age = 0.02;
+			asset.set_value('soc', 80);
+			element.dirty();
+			element.on('change', () => {
+				assert.strictEqual(element.effective_condition.condition, 'unknown');
+				done();
+			});
+		});
+
+		it('should stop listening for stale inputs when unpaired', () => {
+			const element = new SocElement();
+			element.pair(asset);
+			assert.strictEqual(asset.get_notion('soc').listenerCount('stale'), 1);
+			element.unpair();
+			assert.strictEqual(asset.get_notion('soc').listenerCount('stale'), 0);
+		});
+	});
+
+	describe('scheduled re-evaluation', () => {
+
+		class ClockElement extends Element {
+			get summary() { return `${super.summary}:${this.scheduler.now()}`; }
+		}
+
+		let clock, element, asset, changes;
+		beforeEach(() => {
+			clock = new ManualClock(0);
+			element = new ClockElement();
+			element.scheduler = new Scheduler({ clock });
+			asset = new Asset({ id: 'larry' });
+			changes = 0;
+			element.on('change', () => changes++);
+		});
+
+		it('should use the shared scheduler by default', () => {
+			assert.strictEqual(new Element().scheduler, Scheduler.shared);
+		});
+
+		it('should call dirty() at the requested time, replacing earlier requests', () => {
+			element.pair(asset);
+			changes = 0;
+			element.reevaluate_at(1000);
+			element.reevaluate_at(new Date(2000));
+			clock.advance(1500);
+			assert.strictEqual(changes, 0);
+			clock.advance(500);
+			assert.strictEqual(changes, 1);
+		});
+
+		it('should tick while paired', () => {
+			element.reevaluate_every(10);
+			clock.advance(30 * 1000);
+			assert.strictEqual(changes, 0, 'No ticks before pairing');
+
+			element.pair(asset);
+			changes = 0;
+			clock.advance(30 * 1000);
+			assert.strictEqual(changes, 3);
+
+			element.unpair();
+			changes = 0;
+			clock.advance(30 * 1000);
+			assert.strictEqual(changes, 0);
+			assert.strictEqual(element.scheduler.size, 0);
+		});
+
+		it('should not change the scheduler of a paired element', () => {
+			element.pair(asset);
+			assert.throws(() => { element.scheduler = new Scheduler({ clock }); }, /Can't change the scheduler of a paired element/);
+			assert.throws(() => { new Element().scheduler = clock; }, /must be an instance of Scheduler/);
+		});
+	});
+
+	describe('watch', () => {
+
+		it('should follow the paired asset and let go on unpairing', () => {
+			const element = new Element();
+			let calls = [];
+			element.watch(['soc', 'charging'], (e) => calls.push(e.notions));
+
+			const larry = new Asset({ id: 'larry', soc: 90, charging: false });
+			const moe = new Asset({ id: 'moe', soc: 80 });
+			element.pair(larry);
+			larry.set_with_object({ soc: 85, charging: true });
+			element.unpair();
+			larry.set_value('soc', 80);
+			element.pair(moe);
+			moe.set_value('soc', 75);
+
+			assert.deepStrictEqual(calls, [['soc', 'charging'], ['soc']]);
+			assert.strictEqual(larry.listenerCount('changed'), 0);
+		});
+
+		it('should stop watching when asked', () => {
+			const element = new Element();
+			const asset = new Asset({ id: 'larry', soc: 90 });
+			let calls = 0;
+			element.pair(asset);
+			const unwatch = element.watch('soc', () => calls++);
+			asset.set_value('soc', 85);
+			unwatch();
+			asset.set_value('soc', 80);
+			element.unpair();
+			element.pair(asset);
+			asset.set_value('soc', 75);
+			assert.strictEqual(calls, 1);
+			assert.throws(() => element.watch([1], () => {}), /Watched notion names must be strings/);
+		});
+	});
+
+	describe('dependencies', () => {
+
+		class SocElement extends Element {
+			summaries = 0;
+			get inputs() { return ['soc']; }
+			get dependencies() { return [...super.dependencies, 'name']; }
+			get summary() { this.summaries++; return `${this.asset?.p('name')}:${this.asset?.p('soc')}`; }
+		}
+
+		it('should default to the inputs', () => {
+			assert.deepStrictEqual(new Element().dependencies, []);
+			assert.deepStrictEqual(new SocElement().dependencies, ['soc', 'name']);
+		});
+
+		it('should call dirty() once per tick when dependencies change', async () => {
+			const asset = new Asset({ id: 'larry', soc: 90, name: 'Larry', rssi: -50 });
+			const element = new SocElement();
+			let changes = 0;
+			element.on('change', () => changes++);
+			element.pair(asset);
+			await new Promise(setImmediate);
+			changes = 0;
+			element.summaries = 0;
+
+			asset.set_with_object({ soc: 85, name: 'Larry II' });
+			asset.set_value('soc', 80);
+			asset.set_value('rssi', -60);
+			assert.strictEqual(element.summaries, 0, 'Nothing until the next tick');
+			await new Promise(setImmediate);
+			assert.strictEqual(element.summaries, 2, 'One dirty(), which compares and then caches the summary');
+			assert.strictEqual(changes, 1);
+
+			asset.set_value('rssi', -70);
+			await new Promise(setImmediate);
+			assert.strictEqual(changes, 1, 'Other notions are not watched');
+		});
+
+		it('should stop watching dependencies when unpaired', async () => {
+			const asset = new Asset({ id: 'larry', soc: 90, name: 'Larry' });
+			const element = new SocElement();
+			element.pair(asset);
+			assert.strictEqual(asset.listenerCount('changed'), 1);
+			element.unpair();
+			assert.strictEqual(asset.listenerCount('changed'), 0);
+
+			let changes = 0;
+			element.on('change', () => changes++);
+			asset.set_value('soc', 20);
+			await new Promise(setImmediate);
+			assert.strictEqual(changes, 0);
+		});
+	});
+
+});
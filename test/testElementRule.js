@@ -0,0 +1,73 @@
+const assert = require('node:assert');
+const ElementRule = require('../lib/ElementRule.js');
+const Asset = require('../lib/Asset.js');
+
+describe('ElementRule', () => {
+
+	class Bot extends Asset {}
+	class Rover extends Bot {}
+
+	describe('constructor', () => {
+		it('should require an element class name', () => {
+			assert.throws(() => new ElementRule({ asset: 'Bot' }), /'asset' and 'element' properties as strings/);
+			assert.throws(() => new ElementRule({ asset: 1, element: 'Element' }), /'asset' and 'element' properties as strings/);
+		});
+
+		it('should reject unknown keys and bad selectors', () => {
+			assert.throws(() => new ElementRule({ element: 'Element', asset_class: 'Bot' }), /Unknown asset to element rule key 'asset_class'/);
+			assert.throws(() => new ElementRule({ element: 'Element', asset_match: '(' }), /not a valid regular expression/);
+			assert.throws(() => new ElementRule({ element: 'Element', asset_inherits: 'Bot' }), /must name a registered Asset class, got 'Bot'/);
+			assert.throws(() => new ElementRule({ element: 'Element', when: { soc: { atleast: 5 } } }), /Unknown predicate 'atleast' for 'soc'/);
+		});
+	});
+
+	describe('matching', () => {
+		it('should match by exact class name', () => {
+			const rule = new ElementRule({ asset: 'Bot', element: 'Element' });
+			assert.ok(rule.matches(new Bot({ id: 'larry' })));
+			assert.strictEqual(rule.explain(new Rover({ id: 'moe' })), "class 'Rover' is not 'Bot'");
+		});
+
+		it('should match by regular expression on the class name', () => {
+			const rule = new ElementRule({ asset_match: '^(Bot|Rover)$', element: 'Element' });
+			assert.ok(rule.matches(new Rover({ id: 'moe' })));
+			assert.strictEqual(rule.explain(new Asset({ id: 'crate' })), "class 'Asset' does not match /^(Bot|Rover)$/");
+		});
+
+		it('should match by inheritance', () => {
+			const rule = new ElementRule({ asset_inherits: 'Bot', element: 'Element' }, { Bot });
+			assert.ok(rule.matches(new Bot({ id: 'larry' })));
+			assert.ok(rule.matches(new Rover({ id: 'moe' })));
+			assert.strictEqual(rule.explain(new Asset({ id: 'crate' })), "class 'Asset' does not inherit from 'Bot'");
+		});
+
+		it('should match notion predicates, reaching into object values', () => {
+			const rule = new ElementRule({ when: { 'version.daxos': { minimum: 5 }, model: 'X200' }, element: 'BotElementV5' });
+			const bot = new Bot({ id: 'larry', version: undefined, model: undefined });
+
+			assert.strictEqual(rule.explain(bot), 'version.daxos has no value');
+			bot.set_value('version', { daxos: '4.6.0' });
+			assert.strictEqual(rule.explain(bot), 'version.daxos is "4.6.0", not at least 5');
+			bot.set_value('version', { daxos: '5.12.0' });
+			assert.strictEqual(rule.explain(bot), 'model has no value');
+			bot.set_value('model', 'X200');
+			assert.ok(rule.matches(bot));
+		});
+
+		it('should support one_of, maximum and match', () => {
+			const rule = new ElementRule({ when: { runlevel: { one_of: ['run', 'idle'] }, soc: { maximum: 20 }, name: { match: '^L' } }, element: 'Element' });
+			const bot = new Bot({ id: 'larry', runlevel: 'run', soc: '15', name: 'Larry' });
+			assert.ok(rule.matches(bot));
+			bot.set_value('soc', 25);
+			assert.strictEqual(rule.explain(bot), 'soc is 25, not at most 20');
+		});
+
+		it('should match everything without selectors', () => {
+			assert.ok(new ElementRule({ element: 'Element' }).matches(new Asset({ id: 'crate' })));
+		});
+	});
+
+	it('should describe itself', () => {
+		assert.strictEqual(String(new ElementRule({ asset_match: '^Bot', when: { soc: { minimum: 5 } }, element: 'BotElement' })), 'asset_match /^Bot/, when soc → BotElement');
+	});
+});
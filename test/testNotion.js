@@ -1,6 +1,8 @@
 const assert = require('assert');
 const dayjs = require('dayjs');
 const Notion = require('../lib/Notion.js');
+const Scheduler = require('../lib/Scheduler.js');
+const ManualClock = require('../lib/ManualClock.js');
 
 describe('Notion', () => {
     let notion;
@@ -132,4 +134,257 @@ describe('Notion', () => {
     });
 
 
-});
\ No newline at end of file
+    describe('max_age and stale', () => {
+        it('should never be stale without max_age', () => {
+            notion.set_value('old', new Date(0));
+            assert.strictEqual(notion.max_age, null);
+            assert.strictEqual(notion.stale, false);
+        });
+
+        it('should be stale when unset or older than max_age', () => {
+            const n = new Notion('soc', 50, undefined, { max_age: 60 });
+            assert.strictEqual(n.stale, true, 'A default value has no timestamp');
+            n.value = 80;
+            assert.strictEqual(n.stale, false);
+            n.set_value(80, new Date(Date.now() - 61 * 1000));
+            assert.strictEqual(n.stale, true);
+        });
+
+        it('should throw for an invalid max_age', () => {
+            assert.throws(() => new Notion('soc', 50, undefined, { max_age: 0 }), /max_age must be a positive number/);
+            assert.throws(() => { notion.max_age = '60'; }, /max_age must be a positive number/);
+        });
+
+        it('should emit stale from a timer when the value ages out', (done) => {
+            const n = new Notion('soc', 50, undefined, { max_age: 0.02 });
+            n.on('stale', (e) => {
+                assert.strictEqual(e.property, 'soc');
+                assert.strictEqual(e.max_age, 0.02);
+                assert.strictEqual(n.stale, true);
+                done();
+            });
+            n.value = 80;
+        });
+
+        it('should not go stale early with a max_age longer than a timer can wait', (done) => {
+            const n = new Notion('soc', 50, undefined, { max_age: 30 * 24 * 3600 });
+            let stale = 0, warnings = [];
+            const warning = (w) => warnings.push(w.name);
+            process.on('warning', warning);
+            n.on('stale', () => stale++);
+            n.value = 80;
+            setTimeout(() => {
+                process.off('warning', warning);
+                n.max_age = null;
+                assert.strictEqual(stale, 0);
+                assert.strictEqual(n.stale, false);
+                assert.deepStrictEqual(warnings, []);
+                done();
+            }, 20);
+        });
+
+        it('should follow the clock of its scheduler', () => {
+            const clock = new ManualClock(new Date('2025-01-01T00:00:00Z'));
+            const n = new Notion('soc', 50, undefined, { max_age: 60, scheduler: new Scheduler({ clock }) });
+            let stale = 0;
+            n.on('stale', () => stale++);
+            n.value = 80;
+            assert.strictEqual(n.timestamp.getTime(), clock.now(), 'Stamped with the scheduler clock');
+
+            clock.advance(60 * 1000);
+            assert.strictEqual(n.stale, false);
+            assert.strictEqual(stale, 0);
+            clock.advance(1);
+            assert.strictEqual(n.stale, true);
+            assert.strictEqual(stale, 1);
+            assert.throws(() => { n.scheduler = clock; }, /must be an instance of Scheduler/);
+        });
+
+        it('should restart the timer on each write', (done) => {
+            const n = new Notion('soc', 50, undefined, { max_age: 0.05 });
+            let stale = 0;
+            n.on('stale', () => stale++);
+            n.value = 80;
+            setTimeout(() => { n.value = 81; }, 30);
+            setTimeout(() => { assert.strictEqual(stale, 0); }, 65);
+            setTimeout(() => { assert.strictEqual(stale, 1); done(); }, 110);
+        });
+
+        it('should emit stale straight away for a backfilled value', () => {
+            const n = new Notion('soc', 50, undefined, { max_age: 60 });
+            n.value = 80;
+            let stale = 0;
+            n.on('stale', () => stale++);
+            n.set_value(70, new Date(Date.now() - 120 * 1000));
+            assert.strictEqual(stale, 1);
+            n.set_value(60, new Date(Date.now() - 90 * 1000));
+            assert.strictEqual(stale, 1, 'No repeat while it stays stale');
+        });
+
+        it('should stop the timer when max_age is unset', (done) => {
+            const n = new Notion('soc', 50, undefined, { max_age: 0.02 });
+            n.on('stale', () => done(new Error('Should not go stale')));
+            n.value = 80;
+            n.max_age = null;
+            setTimeout(done, 40);
+        });
+    });
+
+    describe('history', () => {
+        const t = (s) => new Date(Date.UTC(2025, 0, 1, 0, 0, s));
+        let soc;
+
+        beforeEach(() => {
+            soc = new Notion('soc', undefined, undefined, { history: { size: 5 } });
+            [100, 90, 80, 70].forEach((v, i) => soc.set_value(v, t(i * 10)));
+        });
+
+        it('should not keep history by default', () => {
+            assert.strictEqual(notion.history, null);
+            assert.throws(() => notion.range(), /Notion 'testNotion' does not keep history/);
+        });
+
+        it('should keep values in timestamp order, bounded by size', () => {
+            soc.set_value(95, t(5)); // Late arrival
+            soc.set_value(60, t(40));
+            assert.deepStrictEqual(soc.history.map(e => e.value), [95, 90, 80, 70, 60]);
+            assert.deepStrictEqual(soc.history_options, { size: 5, max_age: null });
+        });
+
+        it('should drop entries older than max_age before the newest', () => {
+            soc.keep_history({ size: 5, max_age: 15 });
+            assert.deepStrictEqual(soc.history.map(e => e.value), [80, 70]);
+        });
+
+        it('should record the current value when history is turned on, and forget it when turned off', () => {
+            notion.set_value('x', t(0));
+            notion.keep_history();
+            assert.deepStrictEqual(notion.history, [{ value: 'x', timestamp: t(0) }]);
+            notion.keep_history(null);
+            assert.strictEqual(notion.history, null);
+        });
+
+        it('should return ranges inclusive of both ends', () => {
+            assert.deepStrictEqual(soc.range(t(10), t(20)).map(e => e.value), [90, 80]);
+            assert.deepStrictEqual(soc.range(t(25)).map(e => e.value), [70]);
+            assert.deepStrictEqual(soc.range(undefined, t(10).getTime()).map(e => e.value), [100, 90]);
+            assert.throws(() => soc.range({}), /Invalid history range/);
+        });
+
+        it('should compute stats over numeric values in a window', () => {
+            soc.set_value('n/a', t(35));
+            assert.deepStrictEqual(soc.stats(), { count: 4, min: 70, max: 100, avg: 85 });
+            assert.deepStrictEqual(soc.stats(t(10), t(20)), { count: 2, min: 80, max: 90, avg: 85 });
+            assert.deepStrictEqual(soc.stats(t(50)), { count: 0, min: null, max: null, avg: null });
+        });
+
+        it('should compute stats over long histories', () => {
+            const n = new Notion('rssi', undefined, undefined, { history: { size: 200000 } });
+            const start = Date.now() - 200000 * 1000;
+            for (let i = 0; i < 200000; i++) { n.set_value(i % 100, new Date(start + i * 1000)); }
+            assert.deepStrictEqual(n.stats(), { count: 200000, min: 0, max: 99, avg: 49.5 });
+        });
+
+        it('should compute the slope per second', () => {
+            assert.strictEqual(soc.slope(), -1);
+            assert.strictEqual(soc.slope(t(30)), null, 'One point has no slope');
+        });
+
+        it('should throw for invalid options', () => {
+            assert.throws(() => soc.keep_history({ size: 0 }), /History size must be a positive integer/);
+            assert.throws(() => soc.keep_history({ max_age: -1 }), /History max_age must be a positive number/);
+        });
+    });
+
+    describe('type', () => {
+        it('should store coerced values', () => {
+            const soc = new Notion('soc', undefined, undefined, { type: 'number' });
+            soc.value = '90';
+            assert.strictEqual(soc.value, 90);
+            assert.strictEqual(soc.type.type, 'number');
+        });
+
+        it('should reject invalid values with an invalid event by default', () => {
+            const soc = new Notion('soc', undefined, undefined, { type: { type: 'number', maximum: 100 } });
+            soc.value = 80;
+            let invalid = [], changed = 0;
+            soc.on('invalid', (e) => invalid.push(e));
+            soc.on('changed', () => changed++);
+
+            assert.strictEqual(soc.set_value(120, new Date()), false);
+            assert.strictEqual(soc.value, 80);
+            assert.strictEqual(changed, 0);
+            assert.strictEqual(invalid.length, 1);
+            assert.strictEqual(invalid[0].problem, '120 is above 100');
+            assert.strictEqual(invalid[0].action, 'rejected');
+        });
+
+        it('should store and flag invalid values with on_invalid flag', () => {
+            const safe = new Notion('safe', undefined, undefined, { type: { type: 'boolean', on_invalid: 'flag' } });
+            let action;
+            safe.on('invalid', (e) => { action = e.action; });
+            assert.strictEqual(safe.set_value('maybe', new Date()), true);
+            assert.strictEqual(safe.value, 'maybe');
+            assert.strictEqual(safe.invalid, '"maybe" is not a boolean');
+            assert.strictEqual(action, 'flagged');
+
+            safe.value = '0';
+            assert.strictEqual(safe.value, false);
+            assert.strictEqual(safe.invalid, null);
+        });
+
+        it('should throw for an invalid type', () => {
+            assert.throws(() => { notion.type = 'float'; }, /Invalid notion type 'float'/);
+        });
+    });
+
+    describe('ordering', () => {
+        const at = (s) => new Date(`2025-06-01T00:00:${s}Z`);
+
+        it('should let the last write win by default', () => {
+            const soc = new Notion('soc');
+            soc.set_value(90, at('10'));
+            assert.strictEqual(soc.set_value(80, at('05')), true);
+            assert.strictEqual(soc.value, 80);
+            assert.strictEqual(soc.ordering, 'last_write');
+        });
+
+        it('should keep the newest value and report older writes with newest', () => {
+            const soc = new Notion('soc', undefined, undefined, { ordering: 'newest', history: { size: 10 } });
+            let ignored = [], changed = 0;
+            soc.on('ignored', (e) => ignored.push(e));
+            soc.on('changed', () => changed++);
+
+            soc.set_value(90, at('10'));
+            assert.strictEqual(soc.set_value(80, at('05')), false);
+            assert.strictEqual(soc.value, 90);
+            assert.strictEqual(changed, 1);
+            assert.strictEqual(ignored.length, 1);
+            assert.strictEqual(ignored[0].value, 80);
+            assert.strictEqual(ignored[0].current_timestamp.toISOString(), at('10').toISOString());
+            assert.deepStrictEqual(soc.history.map(e => e.value), [80, 90], 'Late values still go into the history');
+
+            assert.strictEqual(soc.set_value(85, at('10')), true, 'Equal timestamps are accepted');
+            assert.strictEqual(soc.value, 85);
+        });
+
+        it('should drop older writes with reject', () => {
+            const soc = new Notion('soc', undefined, undefined, { ordering: 'reject', history: { size: 10 } });
+            let rejected = 0, ignored = 0;
+            soc.on('rejected', () => rejected++);
+            soc.on('ignored', () => ignored++);
+
+            soc.set_value(90, at('10'));
+            assert.strictEqual(soc.set_value(80, at('05')), false);
+            assert.strictEqual(soc.value, 90);
+            assert.deepStrictEqual(soc.history.map(e => e.value), [90]);
+            assert.strictEqual(rejected, 1);
+            assert.strictEqual(ignored, 0);
+        });
+
+        it('should throw for an invalid ordering', () => {
+            assert.throws(() => { notion.ordering = 'oldest'; }, /Invalid ordering policy 'oldest'/);
+        });
+    });
+
+});
@@ -0,0 +1,68 @@
+const assert = require('node:assert');
+const NotionType = require('../lib/NotionType.js');
+
+describe('NotionType', () => {
+
+	const check = (spec, value) => NotionType.from(spec).check(value);
+
+	describe('constructor', () => {
+		it('should accept type names and specifications', () => {
+			assert.strictEqual(NotionType.from('number').type, 'number');
+			assert.deepStrictEqual(NotionType.from({ type: 'number', minimum: 0, on_invalid: 'flag' }).toObject(), { type: 'number', minimum: 0, on_invalid: 'flag' });
+		});
+
+		it('should throw for invalid specifications', () => {
+			assert.throws(() => NotionType.from('float'), /Invalid notion type 'float'/);
+			assert.throws(() => NotionType.from({ type: 'string', minimum: 0 }), /can't have a minimum/);
+			assert.throws(() => NotionType.from('enum'), /requires a non-empty values array/);
+			assert.throws(() => NotionType.from({ type: 'number', on_invalid: 'ignore' }), /Invalid on_invalid 'ignore'/);
+		});
+	});
+
+	describe('check', () => {
+		it('should coerce and range check numbers', () => {
+			assert.deepStrictEqual(check('number', '90'), { value: 90, problem: null });
+			assert.deepStrictEqual(check({ type: 'number', maximum: 100 }, 120), { value: 120, problem: '120 is above 100' });
+			assert.strictEqual(check('number', 'lots').problem, '"lots" is not a number');
+			assert.strictEqual(check('number', '').problem, '"" is not a number');
+			assert.strictEqual(check('integer', '2.5').problem, '2.5 is not an integer');
+		});
+
+		it('should coerce booleans', () => {
+			assert.strictEqual(check('boolean', '0').value, false);
+			assert.strictEqual(check('boolean', 'Yes').value, true);
+			assert.strictEqual(check('boolean', 1).value, true);
+			assert.strictEqual(check('boolean', 'maybe').problem, '"maybe" is not a boolean');
+		});
+
+		it('should match enums as strings', () => {
+			const spec = { type: 'enum', values: ['run', 'idle', 2] };
+			assert.strictEqual(check(spec, '2').value, 2);
+			assert.strictEqual(check(spec, 'halt').problem, '"halt" is not one of run, idle, 2');
+		});
+
+		it('should coerce strings and dates', () => {
+			assert.strictEqual(check('string', 42).value, '42');
+			assert.strictEqual(check('string', {}).problem, '{} is not a string');
+			assert.strictEqual(check('date', '2025-01-01T00:00:00Z').value.getTime(), Date.UTC(2025, 0, 1));
+			assert.strictEqual(check('date', 0).value.getTime(), 0);
+			assert.strictEqual(check('date', 'yesterday').problem, '"yesterday" is not a date');
+		});
+
+		it('should coerce and check geo points', () => {
+			assert.deepStrictEqual(check('geo', { lat: '44.5', lng: -123.3 }).value, { lat: 44.5, lon: -123.3 });
+			assert.deepStrictEqual(check('geo', { lat: 44.5, lon: -123.3, alt: 70 }).value, { lat: 44.5, lon: -123.3, alt: 70 });
+			assert.match(check('geo', { lat: 95, lon: 0 }).problem, /is not a valid lat\/lon/);
+			assert.match(check('geo', '44.5,-123.3').problem, /is not a point/);
+		});
+
+		it('should not coerce with coerce false', () => {
+			assert.strictEqual(check({ type: 'number', coerce: false }, '90').problem, '"90" is not a number');
+		});
+
+		it('should always accept null and undefined', () => {
+			assert.deepStrictEqual(check('number', null), { value: null, problem: null });
+			assert.deepStrictEqual(check('number', undefined), { value: undefined, problem: null });
+		});
+	});
+});
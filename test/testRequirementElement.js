@@ -0,0 +1,189 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const RequirementElement = require('../lib/RequirementElement.js');
+const Board = require('../lib/Board.js');
+const Asset = require('../lib/Asset.js');
+const ManualClock = require('../lib/ManualClock.js');
+const Scheduler = require('../lib/Scheduler.js');
+
+describe('RequirementElement', () => {
+
+	describe('constructor', () => {
+		it('should accept valid requirements', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50, unless_charging: true }, runlevel: { one_of: ['run', 'idle'] } } });
+			assert.deepStrictEqual(element.notion_names, ['soc', 'charging', 'runlevel']);
+		});
+
+		it('should throw for unknown requirements', () => {
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimun: 50 } } }), /Unknown requirement 'minimun' for 'soc'/);
+		});
+
+		it('should throw for badly typed requirements', () => {
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimum: '50' } } }), /'minimum' for 'soc' must be a number/);
+			assert.throws(() => new RequirementElement({ requirements: { soc: { one_of: 'a' } } }), /'one_of' for 'soc' must be an array/);
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimum: 5, severity: 'blue' } } }), /must be 'red' or 'yellow'/);
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimum: 5, unless: 'charging' } } }), /'unless' for 'soc' must be an object/);
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimum: 5, unless: ['charging'] } } }), /'unless' for 'soc' must be an object/);
+			assert.throws(() => new RequirementElement({ requirements: { soc: { minimum: 5, unless: null } } }), /'unless' for 'soc' must be an object/);
+		});
+	});
+
+	describe('condition', () => {
+
+		let asset;
+		beforeEach(() => {
+			asset = new Asset({ id: 'larry', soc: undefined, charging: undefined, runlevel: undefined, heartbeat: undefined });
+		});
+
+		it('should be unknown without an asset', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			assert.strictEqual(element.condition.condition, 'unknown');
+		});
+
+		it('should be unknown when a value is missing or not a number', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			element.pair(asset);
+			assert.strictEqual(element.condition.condition, 'unknown');
+			assert.strictEqual(element.condition.message, 'soc unknown');
+			asset.set_value('soc', 'lots');
+			assert.strictEqual(element.condition.condition, 'unknown');
+		});
+
+		it('should check minimum and maximum, coercing numeric strings', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50, maximum: 95, severity: 'yellow' } } });
+			element.pair(asset);
+			asset.set_value('soc', '90');
+			assert.strictEqual(element.condition.condition, 'green');
+			asset.set_value('soc', 40);
+			assert.strictEqual(element.condition.condition, 'yellow');
+			assert.strictEqual(element.condition.message, 'soc below 50');
+			asset.set_value('soc', '99');
+			assert.strictEqual(element.condition.message, 'soc above 95');
+		});
+
+		it('should check equals and one_of', () => {
+			const element = new RequirementElement({ requirements: { runlevel: { one_of: ['run', 'idle'] }, charging: { equals: false } } });
+			element.pair(asset);
+			asset.set_value('runlevel', 'run');
+			asset.set_value('charging', '0');
+			assert.strictEqual(element.condition.condition, 'green');
+			asset.set_value('runlevel', 'halt');
+			asset.set_value('charging', '1');
+			assert.strictEqual(element.condition.condition, 'red');
+			assert.strictEqual(element.condition.message, 'runlevel not one of run, idle, charging not false');
+		});
+
+		it('should check freshness', () => {
+			const element = new RequirementElement({ requirements: { heartbeat: { max_age: 120 } } });
+			element.pair(asset);
+			asset.set_value('heartbeat', 1, new Date(Date.now() - 60 * 1000));
+			assert.strictEqual(element.condition.condition, 'green');
+			asset.set_value('heartbeat', 1, new Date(Date.now() - 180 * 1000));
+			assert.strictEqual(element.condition.condition, 'red');
+			assert.strictEqual(element.condition.message, 'heartbeat older than 120s');
+		});
+
+		it('should be unknown while a required notion is stale', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			element.pair(asset);
+			asset.get_notion('soc').max_age = 60;
+			asset.set_value('soc', 90, new Date(Date.now() - 120 * 1000));
+			assert.strictEqual(element.condition.condition, 'green');
+			assert.strictEqual(element.effective_condition.condition, 'unknown');
+			assert.match(element.summary, /soc stale/);
+		});
+
+		it('should waive requirements with unless clauses', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50, unless_charging: true }, runlevel: { equals: 'run', unless: { soc: 100 } } } });
+			element.pair(asset);
+			asset.set_value('soc', '40');
+			asset.set_value('runlevel', 'run');
+			asset.set_value('charging', '0');
+			assert.strictEqual(element.condition.condition, 'red');
+			asset.set_value('charging', '1');
+			assert.strictEqual(element.condition.condition, 'green');
+			asset.set_value('soc', '100');
+			asset.set_value('runlevel', 'halt');
+			assert.strictEqual(element.condition.condition, 'green');
+		});
+	});
+
+	describe('events', () => {
+
+		it('should emit change when a required notion changes the condition', async () => {
+			const asset = new Asset({ id: 'larry', soc: 90 });
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			element.pair(asset);
+
+			let changes = 0;
+			element.on('change', () => changes++);
+			asset.set_value('soc', 80);
+			await new Promise(setImmediate);
+			assert.strictEqual(changes, 0, 'No change while the condition is the same');
+			asset.set_value('soc', 20);
+			assert.strictEqual(changes, 0, 'Not until the next tick');
+			await new Promise(setImmediate);
+			assert.strictEqual(changes, 1, 'Change when the condition goes red');
+		});
+
+		it('should go red when max_age passes without another event', () => {
+			const clock = new ManualClock(new Date('2025-01-01T00:00:00Z'));
+			const board = new Board({ segments: [{ name: 'all' }], asset_to_element_default: null, asset_to_element: [{ element: 'RequirementElement', params: { requirements: { heartbeat: { max_age: 120 } } } }] }, {}, { clock });
+			const asset = new Asset({ id: 'larry', heartbeat: undefined });
+			board.add_asset(asset);
+			asset.set_value('heartbeat', 1, new Date(clock.now() - 60 * 1000));
+
+			const element = board.segments[0].elements[0];
+			let changes = 0;
+			element.on('change', () => changes++);
+			assert.strictEqual(element.condition.condition, 'green');
+
+			clock.advance(60 * 1000);
+			assert.strictEqual(changes, 0);
+			clock.advance(1);
+			assert.strictEqual(changes, 1);
+			assert.strictEqual(element.condition.condition, 'red');
+			board.dispose();
+		});
+
+		it('should go unknown when an input goes stale on the board clock', () => {
+			const clock = new ManualClock(new Date('2025-01-01T00:00:00Z'));
+			const board = new Board({ segments: [{ name: 'all' }], asset_to_element_default: null, asset_to_element: [{ element: 'RequirementElement', params: { requirements: { soc: { minimum: 50 } } } }] }, {}, { clock });
+			const asset = new Asset({ id: 'larry', soc: undefined });
+			asset.get_notion('soc').max_age = 60;
+			board.add_asset(asset);
+			assert.strictEqual(asset.get_notion('soc').scheduler, board.scheduler);
+			asset.set_value('soc', 90);
+
+			const element = board.segments[0].elements[0];
+			clock.advance(60 * 1000);
+			assert.strictEqual(element.effective_condition.condition, 'green');
+			clock.advance(1);
+			assert.strictEqual(element.effective_condition.condition, 'unknown');
+			assert.match(element.summary, /soc stale/);
+			board.dispose();
+			assert.strictEqual(asset.get_notion('soc').scheduler, Scheduler.shared, 'Back on the shared scheduler once the board is gone');
+		});
+
+		it('should stop listening to the asset when unpaired', () => {
+			const asset = new Asset({ id: 'larry', soc: 90 });
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			element.pair(asset);
+			assert.strictEqual(asset.listenerCount('changed'), 1);
+			element.unpair();
+			assert.strictEqual(asset.listenerCount('changed'), 0);
+		});
+	});
+
+	describe('board.conf', () => {
+		it('should create static requirement elements from the config', () => {
+			const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'board.conf'), 'utf8'));
+			const board = new Board(config);
+			const element = board.segments[0].elements[0];
+			assert.ok(element instanceof RequirementElement);
+			assert.strictEqual(element.static, true);
+			assert.deepStrictEqual(element.notion_names, ['soc', 'charging']);
+		});
+	});
+});
@@ -0,0 +1,176 @@
+const assert = require('node:assert');
+const Scheduler = require('../lib/Scheduler.js');
+const ManualClock = require('../lib/ManualClock.js');
+
+describe('Scheduler', () => {
+
+	let clock, scheduler, log;
+	beforeEach(() => {
+		clock = new ManualClock(new Date('2025-01-01T00:00:00Z'));
+		scheduler = new Scheduler({ clock });
+		log = [];
+	});
+
+	describe('constructor', () => {
+		it('should default to the system clock', () => {
+			assert.strictEqual(new Scheduler().clock, Scheduler.system_clock);
+		});
+
+		it('should throw for an invalid clock', () => {
+			assert.throws(() => new Scheduler({ clock: { now: () => 0 } }), /Clock must have now\(\), set_timeout\(\) and clear_timeout\(\) methods/);
+		});
+	});
+
+	describe('at and after', () => {
+		it('should run jobs once when they fall due, in time order', () => {
+			const start = clock.now();
+			scheduler.at(new Date(start + 2000), () => log.push(['b', clock.now() - start]));
+			scheduler.after(1, () => log.push(['a', clock.now() - start]));
+			scheduler.at(start + 2000, () => log.push(['c', clock.now() - start]));
+
+			clock.advance(999);
+			assert.deepStrictEqual(log, []);
+			clock.advance(5000);
+			assert.deepStrictEqual(log, [['a', 1000], ['b', 2000], ['c', 2000]]);
+			assert.strictEqual(scheduler.size, 0);
+			assert.strictEqual(clock.pending, 0);
+		});
+
+		it('should run jobs in the past as soon as possible', () => {
+			scheduler.at(0, () => log.push('late'));
+			clock.advance(0);
+			assert.deepStrictEqual(log, ['late']);
+		});
+
+		it('should throw for invalid arguments', () => {
+			assert.throws(() => scheduler.at('soon', () => {}), /Scheduler time must be a Date or a number/);
+			assert.throws(() => scheduler.after(-1, () => {}), /non-negative number of seconds/);
+			assert.throws(() => scheduler.at(0, 'fn'), /callback must be a function/);
+		});
+	});
+
+	describe('every', () => {
+		it('should run periodically', () => {
+			const start = clock.now();
+			scheduler.every(10, () => log.push(clock.now() - start));
+			clock.advance(35 * 1000);
+			assert.deepStrictEqual(log, [10000, 20000, 30000]);
+		});
+
+		it('should skip ticks it missed while the timer was late', () => {
+			// A clock whose timer fires long after it was due, like a blocked event loop
+			let now = 0, timer = null;
+			const late = new Scheduler({ clock: { now: () => now, set_timeout: (fn) => { timer = fn; return 1; }, clear_timeout: () => { timer = null; } } });
+			late.every(10, () => log.push(now));
+
+			now = 35 * 1000;
+			timer();
+			assert.deepStrictEqual(log, [35000], 'One tick, not three');
+			now = 40 * 1000;
+			timer();
+			assert.deepStrictEqual(log, [35000, 40000], 'Back on the original schedule');
+		});
+
+		it('should throw for an invalid interval', () => {
+			assert.throws(() => scheduler.every(0, () => {}), /positive number of seconds/);
+		});
+	});
+
+	describe('cancel and dispose', () => {
+		it('should cancel jobs, including from another job due at the same time', () => {
+			let b;
+			const a = scheduler.after(1, () => { log.push('a'); scheduler.cancel(b); });
+			b = scheduler.after(1, () => log.push('b'));
+			const c = scheduler.every(1, () => log.push('c'));
+			assert.strictEqual(scheduler.cancel(c), true);
+
+			clock.advance(5000);
+			assert.deepStrictEqual(log, ['a']);
+			assert.strictEqual(scheduler.cancel(a), false, 'Already ran');
+		});
+
+		it('should let a periodic job cancel itself', () => {
+			const id = scheduler.every(1, () => { log.push('tick'); scheduler.cancel(id); });
+			clock.advance(5000);
+			assert.deepStrictEqual(log, ['tick']);
+		});
+
+		it('should cancel everything and refuse new jobs once disposed', () => {
+			scheduler.every(1, () => log.push('tick'));
+			scheduler.dispose();
+			clock.advance(5000);
+			assert.deepStrictEqual(log, []);
+			assert.strictEqual(clock.pending, 0);
+			assert.throws(() => scheduler.after(1, () => {}), /Scheduler has been disposed/);
+		});
+	});
+
+	describe('defer and settle', () => {
+		it('should run deferred callbacks on the next tick', (done) => {
+			scheduler.defer(() => log.push('a'));
+			scheduler.defer(() => log.push('b'));
+			assert.deepStrictEqual(log, []);
+			process.nextTick(() => {
+				assert.deepStrictEqual(log, ['a', 'b']);
+				done();
+			});
+		});
+
+		it('should run them straight away when settled, including ones they defer', (done) => {
+			scheduler.defer(() => { log.push('a'); scheduler.defer(() => log.push('b')); });
+			scheduler.settle();
+			assert.deepStrictEqual(log, ['a', 'b']);
+			setImmediate(() => {
+				assert.deepStrictEqual(log, ['a', 'b'], 'Nothing runs twice');
+				done();
+			});
+		});
+
+		it('should run every callback when some throw, and return what they threw', () => {
+			scheduler.defer(() => { throw new Error('a'); });
+			scheduler.defer(() => log.push('b'));
+			scheduler.defer(() => { throw new Error('c'); });
+			assert.deepStrictEqual(scheduler.settle().map(e => e.message), ['a', 'c']);
+			assert.deepStrictEqual(log, ['b']);
+			assert.deepStrictEqual(scheduler.settle(), []);
+		});
+
+		it('should combine errors', () => {
+			const a = new Error('a');
+			assert.strictEqual(Scheduler.combine_errors([a]), a);
+			const combined = Scheduler.combine_errors([a, new Error('b')]);
+			assert.ok(combined instanceof AggregateError);
+			assert.strictEqual(combined.errors.length, 2);
+			assert.match(combined.message, /2 deferred callbacks failed: a; b/);
+		});
+
+		it('should drop deferred callbacks when disposed', (done) => {
+			scheduler.defer(() => log.push('a'));
+			scheduler.dispose();
+			assert.throws(() => scheduler.defer(() => {}), /Scheduler has been disposed/);
+			setImmediate(() => {
+				assert.deepStrictEqual(log, []);
+				done();
+			});
+		});
+	});
+
+	describe('ManualClock', () => {
+		it('should only move when advanced, and never backwards', () => {
+			const start = clock.now();
+			assert.strictEqual(clock.now(), start);
+			clock.advance(1500);
+			assert.strictEqual(clock.now(), start + 1500);
+			assert.throws(() => clock.set(start), /can't go back in time/);
+			assert.throws(() => clock.advance(-1), /non-negative number of milliseconds/);
+		});
+
+		it('should run timers set by timers if they fall due', () => {
+			clock.set_timeout(() => { log.push(1); clock.set_timeout(() => log.push(2), 100); }, 100);
+			clock.advance(150);
+			assert.deepStrictEqual(log, [1]);
+			clock.advance(50);
+			assert.deepStrictEqual(log, [1, 2]);
+		});
+	});
+});
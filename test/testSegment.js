@@ -2,6 +2,7 @@ const assert = require('node:assert');
 const Segment = require('../lib/Segment.js');
 const Asset = require('../lib/Asset.js');
 const Element = require('../lib/Element.js');
+const ElementCondition = require('../lib/ElementCondition.js');
 
 describe('Segment', () => {
 	let boardMock;
@@ -255,6 +256,88 @@ describe('Segment', () => {
 
 	});
 
+	describe('condition', () => {
+
+		// An element with a condition we can set from the test
+		class FlagElement extends Element {
+			#flag = 'green';
+			get condition() { return new ElementCondition(this.#flag); }
+			get summary() { return `${super.summary}:${this.#flag}`; }
+			set flag(value) { this.#flag = value; this.dirty(); }
+		}
+		class Board { element_factory(_, params) { return new FlagElement(params); } }
+
+		it('should be unknown when the segment has no elements', () => {
+			const segment = new Segment({}, boardMock);
+			assert.strictEqual(segment.condition.condition, 'unknown');
+		});
+
+		it('should roll up element conditions using the worst policy by default', () => {
+			const segment = new Segment({}, new Board());
+			segment.add_asset(new Asset({ id: 'a' }));
+			segment.add_asset(new Asset({ id: 'b' }));
+			assert.strictEqual(segment.condition.condition, 'green');
+			segment.elements[1].flag = 'red';
+			assert.strictEqual(segment.condition.condition, 'red');
+			assert.strictEqual(segment.condition.message, '50% green (1 of 2)');
+		});
+
+		it('should use the rollup policy from the segment config', () => {
+			const segment = new Segment({ rollup: { policy: 'threshold', thresholds: { red: 50 } } }, new Board());
+			segment.add_asset(new Asset({ id: 'a' }));
+			segment.add_asset(new Asset({ id: 'b' }));
+			segment.elements[1].flag = 'red';
+			assert.strictEqual(segment.condition.condition, 'green');
+			segment.elements[0].flag = 'red';
+			assert.strictEqual(segment.condition.condition, 'red');
+		});
+
+		it('should leave static elements without an asset out of the rollup', () => {
+			class SlotElement extends FlagElement {
+				get condition() { return this.asset ? super.condition : new ElementCondition('unknown'); }
+			}
+			class Board { element_factory(_, params) { return new SlotElement(params); } }
+			const segment = new Segment({ rollup: { policy: 'threshold', thresholds: { red: 5 } }, elements: [{ class: 'SlotElement', static: true }] }, new Board());
+			assert.strictEqual(segment.condition.condition, 'unknown', 'Nothing to report yet');
+			assert.deepStrictEqual(segment.reporting_elements, []);
+
+			segment.add_asset(new Asset({ id: 'a' }));
+			segment.add_asset(new Asset({ id: 'b' }));
+			segment.remove_asset('a');
+			assert.deepStrictEqual(segment.reporting_elements, [segment.elements[1]]);
+			assert.strictEqual(segment.condition.condition, 'green', 'The empty static slot does not count as unknown');
+			assert.strictEqual(segment.condition.message, '100% green (1 of 1)');
+			assert.strictEqual(segment.stats().count, 2, 'Stats still count every slot');
+		});
+
+		it('should ignore removed elements', () => {
+			const segment = new Segment({}, new Board());
+			segment.add_asset(new Asset({ id: 'a' }));
+			segment.add_asset(new Asset({ id: 'b' }));
+			segment.elements[1].flag = 'red';
+			segment.remove_asset('b');
+			assert.strictEqual(segment.condition.condition, 'green');
+		});
+
+		it('should emit "condition_change" only when the rolled up condition changes', () => {
+			const segment = new Segment({}, new Board());
+			segment.add_asset(new Asset({ id: 'a' }));
+			segment.add_asset(new Asset({ id: 'b' }));
+
+			let events = [];
+			segment.on('condition_change', (event) => events.push(event));
+			segment.elements[0].flag = 'yellow';
+			segment.elements[1].flag = 'yellow';
+			segment.elements[1].flag = 'red';
+
+			assert.strictEqual(events.length, 2);
+			assert.strictEqual(events[0].segment, segment);
+			assert.strictEqual(events[0].previous.condition, 'green');
+			assert.strictEqual(events[0].condition.condition, 'yellow');
+			assert.strictEqual(events[1].condition.condition, 'red');
+		});
+	});
+
 	describe('checksum', () => {
 
 		it('should return a nonzero checksum of a segment with assets', () => {
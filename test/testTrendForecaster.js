@@ -0,0 +1,103 @@
+const assert = require('node:assert');
+const TrendForecaster = require('../lib/TrendForecaster.js');
+const RequirementElement = require('../lib/RequirementElement.js');
+const Element = require('../lib/Element.js');
+const Asset = require('../lib/Asset.js');
+const Board = require('../lib/Board.js');
+
+describe('TrendForecaster', () => {
+
+	let asset, now;
+	beforeEach(() => {
+		now = Date.now();
+		asset = new Asset({ id: 'larry', soc: undefined, charging: undefined });
+		asset.get_notion('soc').keep_history({ size: 100 });
+
+		// soc drops 1% per minute, 60% now
+		for (let m = 10; m >= 0; m--) { asset.set_value('soc', 60 + m, new Date(now - m * 60 * 1000)); }
+	});
+
+	describe('constructor', () => {
+		it('should default the window to the horizon', () => {
+			const forecaster = new TrendForecaster({ horizon: 600 });
+			assert.strictEqual(forecaster.window, 600);
+		});
+
+		it('should throw for an invalid horizon or window', () => {
+			assert.throws(() => new TrendForecaster(), /Trend horizon must be a positive number/);
+			assert.throws(() => new TrendForecaster({ horizon: 60, window: 0 }), /Trend window must be a positive number/);
+		});
+	});
+
+	describe('project', () => {
+		it('should extrapolate along the slope', () => {
+			const forecaster = new TrendForecaster({ horizon: 600 });
+			assert.strictEqual(Math.round(forecaster.project(asset.get_notion('soc'), now, now + 600 * 1000)), 50);
+		});
+
+		it('should not project notions without history', () => {
+			const forecaster = new TrendForecaster({ horizon: 600 });
+			assert.strictEqual(forecaster.project(asset.get_notion('charging'), now, now + 600 * 1000), undefined);
+		});
+	});
+
+	describe('forecast', () => {
+		it('should forecast the condition at the horizon', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } } });
+			element.pair(asset);
+			assert.strictEqual(new TrendForecaster({ horizon: 5 * 60 }).forecast(element, now), 'green');
+			assert.strictEqual(new TrendForecaster({ horizon: 15 * 60 }).forecast(element, now), 'red');
+		});
+
+		it('should respect the rest of the element, e.g. unless clauses', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50, unless_charging: true } } });
+			element.pair(asset);
+			asset.set_value('charging', true);
+			assert.strictEqual(new TrendForecaster({ horizon: 15 * 60 }).forecast(element, now), 'green');
+		});
+
+		it('should be unknown without anything to project or an element that can assess', () => {
+			const forecaster = new TrendForecaster({ horizon: 15 * 60 });
+			const requirement = new RequirementElement({ requirements: { charging: { equals: false } } });
+			requirement.pair(asset);
+			assert.strictEqual(forecaster.forecast(requirement, now), 'unknown');
+
+			const element = new (class extends Element { get inputs() { return ['soc']; } })();
+			element.pair(asset);
+			assert.strictEqual(forecaster.forecast(element, now), 'unknown');
+		});
+	});
+
+	describe('element trend config', () => {
+		it('should fill in the trend of the effective condition', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } }, trend: { horizon: 15 * 60, window: 5 * 60 } });
+			element.pair(asset);
+			assert.strictEqual(element.condition.trend, 'unknown');
+			assert.strictEqual(element.effective_condition.condition, 'green');
+			assert.strictEqual(element.effective_condition.trend, 'red');
+			assert.match(element.summary, /green \(red\)/);
+		});
+
+		it('should forecast once per dirty(), not on every read', () => {
+			const element = new RequirementElement({ requirements: { soc: { minimum: 50 } }, trend: { horizon: 15 * 60, window: 5 * 60 } });
+			let forecasts = 0;
+			const forecast = element.trend_forecaster.forecast.bind(element.trend_forecaster);
+			element.trend_forecaster.forecast = (...args) => { forecasts++; return forecast(...args); };
+
+			element.pair(asset);
+			forecasts = 0;
+			for (let i = 0; i < 3; i++) { element.summary; element.effective_condition; }
+			assert.strictEqual(forecasts, 0, 'Cached when pairing called dirty()');
+
+			asset.set_value('soc', 90);
+			element.dirty();
+			assert.strictEqual(element.effective_condition.trend, 'green', 'Forecast again after dirty()');
+			assert.strictEqual(forecasts, 1);
+		});
+
+		it('should be validated in board.conf', () => {
+			const errors = Board.validate_config({ segments: [{ name: 'all', elements: [{ class: 'RequirementElement', requirements: {}, trend: { window: 60 } }] }] });
+			assert.ok(errors.some(e => /trend\.horizon missing/.test(e)), errors.join('; '));
+		});
+	});
+});